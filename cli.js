@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+// Command-line subtitling: the same pipeline as /api/transcribe + /api/add-subtitles, without the web UI
+// Usage: node cli.js <video | folder | glob>... [--captions <file> | --transcribe] [--out <dir>] [style options]
+const path = require('path');
+const fs = require('fs');
+const { parseArgs } = require('util');
+
+// Paths on the command line are relative to where the tool was started, but the server's
+// folders (fonts/, presets/, uploads/, outputs/) and .env live next to this file
+const invocationDir = process.cwd();
+process.chdir(__dirname);
+
+const {
+  TRACK_STYLE_FIELDS,
+  CAPTION_FORMATS,
+  parseCaptionFile,
+  parseSubtitleTracks,
+  applyStylePreset,
+  findMissingFont,
+  loadProvider,
+  getSTTProvider,
+  getDiarizeProvider,
+  queueTranscribeJob,
+  queueRenderJob,
+  waitForJobResult
+} = require('./server');
+
+const VIDEO_EXTENSIONS = ['.mp4', '.avi', '.mov', '.mkv', '.webm'];
+const CAPTION_EXTENSIONS = ['.srt', '.vtt', '.ass', '.ssa'];
+
+// Request fields accepted as --kebab-case options (fontSize -> --font-size, maxCPS -> --max-cps)
+const BODY_FIELDS = [
+  ...TRACK_STYLE_FIELDS,
+  'preset', 'speakerStyles', 'language', 'trackTitle',
+  'outputMode', 'container', 'subtitleFormat', 'profile', 'audio', 'aspectRatio', 'reframe',
+  'maxCharsPerLine', 'maxLines', 'minDuration', 'maxDuration', 'maxCPS', 'maxGap', 'breakOnPunctuation',
+  'speakers'
+];
+
+function toOptionName(field) {
+  return field.replace(/([a-z])([A-Z]+)/g, (match, lower, upper) => `${lower}-${upper.toLowerCase()}`);
+}
+
+const USAGE = `Usage: node cli.js <video | folder | glob>... [options]
+
+Subtitles every input video and writes <name>.subtitled.<ext> next to it (or into --out).
+
+Captions (one of):
+  --captions <file>     SRT, VTT or ASS file (only with a single video)
+  --transcribe          Transcribe with the configured STT_PROVIDER
+  (default)             Use <name>.srt/.vtt/.ass next to each video
+  --diarize             With --transcribe, label speakers (see --speaker-styles)
+
+Output:
+  --out <dir>           Write outputs here instead of next to each video
+  --export <formats>    Also write caption files, e.g. --export srt,vtt
+                        (<name>.subtitled.<format> when <name>.<format> is the input captions)
+
+Style and render options take the same values as the /api/add-subtitles fields:
+  ${BODY_FIELDS.map(field => `--${toOptionName(field)}`).join(' ')}
+`;
+
+function parseCommandLine(argv) {
+  const options = {
+    captions: { type: 'string' },
+    transcribe: { type: 'boolean' },
+    diarize: { type: 'boolean' },
+    out: { type: 'string' },
+    export: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+  };
+  BODY_FIELDS.forEach(field => {
+    options[toOptionName(field)] = { type: 'string' };
+  });
+
+  const { values, positionals } = parseArgs({ args: argv, options, allowPositionals: true });
+  const body = {};
+  BODY_FIELDS.forEach(field => {
+    const value = values[toOptionName(field)];
+    if (value !== undefined) body[field] = value;
+  });
+  return { values, inputs: positionals, body };
+}
+
+// Helper function to match a file name against a simple glob (* and ?)
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function isVideoFile(file) {
+  return VIDEO_EXTENSIONS.includes(path.extname(file).toLowerCase());
+}
+
+// Expand each input into video files: a file, every video in a folder, or a quoted pattern like "clips/*.mp4"
+function expandInputs(inputs) {
+  const videos = [];
+  inputs.forEach(input => {
+    const resolved = path.resolve(invocationDir, input);
+    if (/[*?]/.test(path.basename(resolved))) {
+      const dir = path.dirname(resolved);
+      const pattern = globToRegExp(path.basename(resolved));
+      if (!fs.existsSync(dir)) throw new Error(`No such folder: ${dir}`);
+      fs.readdirSync(dir)
+        .filter(file => pattern.test(file) && isVideoFile(file))
+        .sort()
+        .forEach(file => videos.push(path.join(dir, file)));
+    } else if (fs.existsSync(resolved) && fs.statSync(resolved).isDirectory()) {
+      fs.readdirSync(resolved)
+        .filter(isVideoFile)
+        .sort()
+        .forEach(file => videos.push(path.join(resolved, file)));
+    } else if (fs.existsSync(resolved)) {
+      videos.push(resolved);
+    } else {
+      throw new Error(`No such file: ${input}`);
+    }
+  });
+  return [...new Set(videos)];
+}
+
+// Look for a caption file with the video's name (clip.mp4 -> clip.srt, clip.vtt, clip.ass)
+function findSidecarCaptions(videoPath) {
+  const base = videoPath.slice(0, -path.extname(videoPath).length);
+  return CAPTION_EXTENSIONS.map(ext => base + ext).find(file => fs.existsSync(file)) || null;
+}
+
+// Copy across filesystems when a rename isn't possible
+function moveFile(from, to) {
+  try {
+    fs.renameSync(from, to);
+  } catch (e) {
+    if (e.code !== 'EXDEV') throw e;
+    fs.copyFileSync(from, to);
+    fs.unlinkSync(from);
+  }
+}
+
+// Print each new job stage once
+function logStages(label) {
+  let lastStage = null;
+  return (state) => {
+    if (state.status !== 'running' || state.stage === lastStage) return;
+    lastStage = state.stage;
+    console.log(`  ${label}: ${state.stageLabel}`);
+  };
+}
+
+// Outputs are named <name>.subtitled.<ext> and <name>.<format> in the output folder
+function outputBase(videoPath, values) {
+  const outDir = values.out ? path.resolve(invocationDir, values.out) : path.dirname(videoPath);
+  return { outDir, name: path.basename(videoPath, path.extname(videoPath)) };
+}
+
+// Two inputs that differ only in extension (clip.mp4, clip.mov) would overwrite each other's outputs
+function findOutputClash(videos, values) {
+  const seen = new Map();
+  for (const videoPath of videos) {
+    const { outDir, name } = outputBase(videoPath, values);
+    const key = path.join(outDir, name);
+    if (seen.has(key)) return [seen.get(key), videoPath];
+    seen.set(key, videoPath);
+  }
+  return null;
+}
+
+async function subtitleVideo(videoPath, { values, body, providers }) {
+  const { outDir, name } = outputBase(videoPath, values);
+
+  let subtitles;
+  let captionPath = null;
+  if (values.transcribe) {
+    const job = queueTranscribeJob(videoPath, body, { sttProvider: providers.stt, diarizer: providers.diarizer, keepVideo: true });
+    ({ subtitles } = await waitForJobResult(job, logStages('transcribe')));
+  } else {
+    captionPath = values.captions ? path.resolve(invocationDir, values.captions) : findSidecarCaptions(videoPath);
+    if (!captionPath) throw new Error(`No captions found - add ${name}.srt next to the video or use --transcribe`);
+    subtitles = parseCaptionFile(fs.readFileSync(captionPath, 'utf8'), captionPath);
+  }
+  if (subtitles.length === 0) throw new Error('No subtitles to render');
+
+  const renderBody = { ...body, subtitles };
+  const tracks = parseSubtitleTracks(renderBody);
+  const missingFont = renderBody.outputMode === 'soft' ? null : findMissingFont(tracks);
+  if (missingFont) throw new Error(`Font "${missingFont}" is not installed - upload it to the font library or choose another font`);
+
+  const job = queueRenderJob(videoPath, tracks, renderBody, { keepVideo: true });
+  if (!job) throw new Error('No subtitles to render');
+  const result = await waitForJobResult(job, logStages('render'));
+
+  // Caption exports are written only once the render worked, and never over the file they were read from
+  const written = [];
+  parseFormats(values.export).forEach(format => {
+    let exportPath = path.join(outDir, `${name}.${format}`);
+    if (captionPath && path.resolve(exportPath) === path.resolve(captionPath)) {
+      exportPath = path.join(outDir, `${name}.subtitled.${format}`);
+    }
+    fs.writeFileSync(exportPath, CAPTION_FORMATS[format].generate(tracks[0].subtitles, tracks[0].options));
+    written.push(exportPath);
+  });
+
+  const renderedPath = path.join('outputs', path.basename(result.outputUrl));
+  const outputPath = path.join(outDir, `${name}.subtitled${path.extname(renderedPath)}`);
+  moveFile(renderedPath, outputPath);
+  return [outputPath, ...written];
+}
+
+function parseFormats(value) {
+  if (!value) return [];
+  const formats = String(value).split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+  const unknown = formats.find(format => !CAPTION_FORMATS[format]);
+  if (unknown) throw new Error(`Unsupported caption format: ${unknown}. Use srt, vtt or ass`);
+  return formats;
+}
+
+async function main() {
+  let command;
+  try {
+    command = parseCommandLine(process.argv.slice(2));
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    return 2;
+  }
+  const { values, inputs } = command;
+  if (values.help || inputs.length === 0) {
+    console.log(USAGE);
+    return values.help ? 0 : 2;
+  }
+
+  // Check everything that applies to all videos before starting any work
+  let videos;
+  try {
+    videos = expandInputs(inputs);
+    if (videos.length === 0) throw new Error('No videos found');
+    const clash = findOutputClash(videos, values);
+    if (clash) {
+      throw new Error(`${clash.map(file => path.relative(invocationDir, file)).join(' and ')} would write the same outputs - rename one or process them separately`);
+    }
+    if (values.captions && videos.length > 1) throw new Error('--captions works with a single video; use sidecar caption files for several');
+    if (values.captions && values.transcribe) throw new Error('Use either --captions or --transcribe');
+    if (values.diarize && !values.transcribe) throw new Error('--diarize only works with --transcribe');
+    if (values.out) fs.mkdirSync(path.resolve(invocationDir, values.out), { recursive: true });
+    parseFormats(values.export);
+  } catch (e) {
+    console.error(e.message);
+    return 2;
+  }
+
+  const body = applyStylePreset(command.body);
+  if (!body) {
+    console.error(`No style preset named "${command.body.preset}"`);
+    return 2;
+  }
+
+  const providers = { stt: null, diarizer: null };
+  if (values.transcribe) {
+    const stt = loadProvider(getSTTProvider);
+    const diarizer = values.diarize ? loadProvider(getDiarizeProvider) : { provider: null, configError: null };
+    const configError = stt.configError || diarizer.configError;
+    if (configError) {
+      console.error(configError);
+      return 2;
+    }
+    providers.stt = stt.provider;
+    providers.diarizer = diarizer.provider;
+  }
+
+  let failed = 0;
+  for (const [index, videoPath] of videos.entries()) {
+    console.log(`[${index + 1}/${videos.length}] ${path.relative(invocationDir, videoPath)}`);
+    try {
+      const outputs = await subtitleVideo(videoPath, { values, body, providers });
+      outputs.forEach(output => console.log(`  -> ${path.relative(invocationDir, output)}`));
+    } catch (e) {
+      failed++;
+      console.error(`  failed: ${e.message}`);
+    }
+  }
+
+  console.log(`${videos.length - failed} of ${videos.length} video(s) subtitled`);
+  return failed > 0 ? 1 : 0;
+}
+
+main()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(e => {
+    console.error(e.message);
+    process.exitCode = 1;
+  });
@@ -1,11 +1,18 @@
 let subtitleCount = 0;
 let currentMode = 'stt';
+let lastRender = null; // Subtitles, style settings and speaker styles of the last render, for caption export
+let uploadedMedia = null; // { file, mediaId } of the uploaded video, so re-renders skip the upload
 
 document.getElementById('videoFile').addEventListener('change', (e) => {
   const fileName = e.target.files[0]?.name || '';
   document.getElementById('fileName').textContent = fileName ? `Selected: ${fileName}` : '';
 });
 
+document.getElementById('captionFile').addEventListener('change', (e) => {
+  const fileName = e.target.files[0]?.name || '';
+  document.getElementById('captionFileName').textContent = fileName ? `Selected: ${fileName}` : '';
+});
+
 // Show/hide effect color section based on animation selection
 document.querySelectorAll('input[name="animation"]').forEach(radio => {
   radio.addEventListener('change', (e) => {
@@ -19,14 +26,40 @@ document.querySelectorAll('input[name="animation"]').forEach(radio => {
   });
 });
 
-// Handle subtitle mode toggle (STT vs Manual)
+// Custom color options: picking a color selects the option and sends it as #RRGGBB (or #RRGGBBAA with opacity)
+document.querySelectorAll('.custom-color-option').forEach(option => {
+  const radio = option.querySelector('input[type="radio"]');
+  const colorInput = option.querySelector('.custom-color-input');
+  const alphaInput = option.querySelector('.custom-color-alpha');
+  const update = () => {
+    const alpha = alphaInput ? Math.round(alphaInput.value / 100 * 255).toString(16).padStart(2, '0') : '';
+    radio.value = `${colorInput.value}${alpha}`;
+    radio.checked = true;
+  };
+  colorInput.addEventListener('input', update);
+  if (alphaInput) alphaInput.addEventListener('input', update);
+});
+
+// Show track language only for soft subtitle output
+document.querySelectorAll('input[name="outputMode"]').forEach(radio => {
+  radio.addEventListener('change', (e) => {
+    document.getElementById('trackLanguageRow').style.display = e.target.value === 'burn' ? 'none' : 'block';
+    // Soft tracks copy the streams, so encoding settings only apply to burned-in output
+    document.getElementById('outputProfileRow').style.display = e.target.value === 'burn' ? 'block' : 'none';
+    document.getElementById('reframeRow').style.display = e.target.value === 'burn' ? 'block' : 'none';
+  });
+});
+
+// Handle subtitle mode toggle (STT vs Manual vs Import)
 document.querySelectorAll('input[name="subtitleMode"]').forEach(radio => {
   radio.addEventListener('change', (e) => {
     currentMode = e.target.value;
     const subtitleSection = document.getElementById('subtitleSection');
+    document.getElementById('captionImportSection').style.display = currentMode === 'import' ? 'block' : 'none';
+    document.getElementById('sttOptionsSection').style.display = currentMode === 'stt' ? 'block' : 'none';
 
-    if (currentMode === 'stt') {
-      // Hide manual subtitle section for STT mode
+    if (currentMode === 'stt' || currentMode === 'import') {
+      // Hide manual subtitle section for STT and import modes
       subtitleSection.style.display = 'none';
       document.getElementById('subtitleList').innerHTML = '';
       subtitleCount = 0;
@@ -65,21 +98,8 @@ function removeSubtitle(id) {
   document.getElementById(`subtitle-${id}`).remove();
 }
 
-async function processVideo() {
-  const videoFile = document.getElementById('videoFile').files[0];
-  const status = document.getElementById('status');
-  const result = document.getElementById('result');
-  const processBtn = document.getElementById('processBtn');
-  const selectedMode = document.querySelector('input[name="subtitleMode"]:checked').value;
-
-  if (!videoFile) {
-    showStatus('Please select a video file', 'error');
-    return;
-  }
-
-  let subtitles = [];
-
-  // Get style settings
+// Read the style pickers into the fields /api/add-subtitles expects
+function getStyleSettings() {
   const selectedStyle = document.querySelector('input[name="subtitleStyle"]:checked').value;
   const selectedFont = document.querySelector('input[name="fontFamily"]:checked').value;
   let selectedFontSize = document.querySelector('input[name="fontSize"]:checked').value;
@@ -91,13 +111,89 @@ async function processVideo() {
   const selectedPosition = document.querySelector('input[name="subtitlePosition"]:checked').value;
   const selectedBgColor = document.querySelector('input[name="bgColor"]:checked').value;
   const selectedAnimation = document.querySelector('input[name="animation"]:checked').value;
-  const selectedEffectColor = document.querySelector('input[name="effectColor"]:checked')?.value || '&H00D7FF&';
+  const selectedEffectColor = document.querySelector('input[name="effectColor"]:checked')?.value || '#ffd700';
   const selectedWordsPerLine = parseInt(document.querySelector('input[name="wordsPerLine"]:checked').value) || 0;
   const selectedOutlineColor = document.querySelector('input[name="outlineColor"]:checked').value;
   const selectedOutlineThickness = parseInt(document.getElementById('outlineThickness').value) || 2;
   const selectedShadowColor = document.querySelector('input[name="shadowColor"]:checked').value;
   const selectedShadowDepth = parseInt(document.getElementById('shadowDepth').value) || 1;
 
+  return {
+    style: selectedStyle,
+    font: selectedFont,
+    fontSize: selectedFontSize,
+    color: selectedColor,
+    position: selectedPosition,
+    bgColor: selectedBgColor,
+    animation: selectedAnimation,
+    effectColor: selectedEffectColor,
+    wordsPerLine: selectedWordsPerLine,
+    outlineColor: selectedOutlineColor,
+    outlineThickness: selectedOutlineThickness,
+    shadowColor: selectedShadowColor,
+    shadowDepth: selectedShadowDepth
+  };
+}
+
+// Replace the static thumbnails of a picker (subtitleStyle or animation) with frames of the user's video
+async function previewOnVideo(field) {
+  const videoFile = document.getElementById('videoFile').files[0];
+  if (!videoFile) {
+    showStatus('Select a video to preview styles on it', 'error');
+    return;
+  }
+
+  const button = document.getElementById(`${field}PreviewBtn`);
+  button.disabled = true;
+  try {
+    const mediaId = await uploadVideo(videoFile);
+    const time = parseFloat(document.getElementById(`${field}PreviewTime`).value) || 0;
+    const settings = getStyleSettings();
+
+    // One at a time - each frame is an FFmpeg run on the server
+    for (const radio of document.querySelectorAll(`input[name="${field}"]`)) {
+      const preview = radio.parentElement.querySelector('.style-preview, .animation-preview');
+      // Styles only apply to static subtitles, so show them without animation
+      const choice = field === 'subtitleStyle' ? { style: radio.value, animation: 'none' } : { animation: radio.value };
+      const response = await fetch('http://localhost:3001/api/preview-frame', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...settings, ...choice, mediaId, time, width: 320 })
+      });
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error);
+      }
+      const blob = await response.blob();
+      preview.style.backgroundImage = `url(${URL.createObjectURL(blob)})`;
+      preview.classList.add('has-frame');
+    }
+  } catch (error) {
+    showStatus(`Preview failed: ${error.message}`, 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+async function processVideo() {
+  const videoFile = document.getElementById('videoFile').files[0];
+  const status = document.getElementById('status');
+  const result = document.getElementById('result');
+  const processBtn = document.getElementById('processBtn');
+  const selectedMode = document.querySelector('input[name="subtitleMode"]:checked').value;
+
+  if (!videoFile) {
+    showStatus('Please select a video file', 'error');
+    return;
+  }
+
+  let subtitles = [];
+  let speakerStyles = null;
+
+  const settings = getStyleSettings();
+  const selectedOutputMode = document.querySelector('input[name="outputMode"]:checked').value;
+  const trackLanguage = document.getElementById('trackLanguage').value.trim() || 'en';
+
   processBtn.disabled = true;
   result.innerHTML = '';
 
@@ -107,15 +203,20 @@ async function processVideo() {
     showProgress(true);
 
     try {
+      // The video is uploaded once - the render below reuses it by media ID
       const transcribeFormData = new FormData();
-      transcribeFormData.append('video', videoFile);
+      transcribeFormData.append('mediaId', await uploadVideo(videoFile));
+      if (document.getElementById('diarize').checked) transcribeFormData.append('diarize', 'true');
 
       const transcribeResponse = await fetch('http://localhost:3001/api/transcribe', {
         method: 'POST',
         body: transcribeFormData
       });
 
-      const transcribeData = await transcribeResponse.json();
+      const transcribeJob = await transcribeResponse.json();
+
+      // Transcription runs as a background job - follow its stages until it finishes
+      const transcribeData = transcribeJob.success ? await waitForJob(transcribeJob.jobId) : transcribeJob;
 
       if (!transcribeData.success) {
         showStatus(`Transcription failed: ${transcribeData.error}`, 'error');
@@ -125,7 +226,9 @@ async function processVideo() {
       }
 
       subtitles = transcribeData.subtitles;
+      speakerStyles = buildSpeakerStyles(transcribeData.speakers);
       showStatus(`Transcription complete! Found ${subtitles.length} segments. Step 2/2: Generating video...`, 'processing');
+      setProgress(null);
 
     } catch (error) {
       showStatus(`Transcription error: ${error.message}`, 'error');
@@ -133,6 +236,41 @@ async function processVideo() {
       showProgress(false);
       return;
     }
+  } else if (selectedMode === 'import') {
+    // Import mode - parse the caption file on the server
+    const captionFile = document.getElementById('captionFile').files[0];
+    if (!captionFile) {
+      showStatus('Please select a caption file (SRT, VTT or ASS)', 'error');
+      processBtn.disabled = false;
+      return;
+    }
+
+    try {
+      const importFormData = new FormData();
+      importFormData.append('captions', captionFile);
+
+      const importResponse = await fetch('http://localhost:3001/api/import-subtitles', {
+        method: 'POST',
+        body: importFormData
+      });
+
+      const importData = await importResponse.json();
+
+      if (!importData.success) {
+        showStatus(`Caption import failed: ${importData.error}`, 'error');
+        processBtn.disabled = false;
+        return;
+      }
+
+      subtitles = importData.subtitles;
+      showStatus(`Imported ${subtitles.length} captions. Processing video... This may take a few minutes`, 'processing');
+      showProgress(true);
+
+    } catch (error) {
+      showStatus(`Caption import error: ${error.message}`, 'error');
+      processBtn.disabled = false;
+      return;
+    }
   } else {
     // Manual mode - get subtitles from form
     const subtitleItems = document.querySelectorAll('.subtitle-item');
@@ -159,39 +297,59 @@ async function processVideo() {
   }
 
   // Now generate the video with subtitles
-  const formData = new FormData();
-  formData.append('video', videoFile);
-  formData.append('subtitles', JSON.stringify(subtitles));
-  formData.append('style', selectedStyle);
-  formData.append('font', selectedFont);
-  formData.append('fontSize', selectedFontSize);
-  formData.append('color', selectedColor);
-  formData.append('position', selectedPosition);
-  formData.append('bgColor', selectedBgColor);
-  formData.append('animation', selectedAnimation);
-  formData.append('effectColor', selectedEffectColor);
-  formData.append('wordsPerLine', selectedWordsPerLine);
-  formData.append('outlineColor', selectedOutlineColor);
-  formData.append('outlineThickness', selectedOutlineThickness);
-  formData.append('shadowColor', selectedShadowColor);
-  formData.append('shadowDepth', selectedShadowDepth);
+  lastRender = { subtitles, settings, speakerStyles, language: trackLanguage };
 
   try {
+    const formData = new FormData();
+    formData.append('mediaId', await uploadVideo(videoFile));
+    formData.append('subtitles', JSON.stringify(subtitles));
+    if (speakerStyles) formData.append('speakerStyles', JSON.stringify(speakerStyles));
+    Object.entries(settings).forEach(([key, value]) => formData.append(key, value));
+    if (selectedOutputMode !== 'burn') {
+      formData.append('outputMode', 'soft');
+      formData.append('container', selectedOutputMode === 'soft-mkv' ? 'mkv' : 'mp4');
+      formData.append('language', trackLanguage);
+    } else {
+      const aspectRatio = document.getElementById('aspectRatio').value;
+      if (aspectRatio) {
+        formData.append('aspectRatio', aspectRatio);
+        formData.append('reframe', document.getElementById('reframeMode').value);
+      }
+      formData.append('profile', document.getElementById('outputProfile').value);
+      if (document.getElementById('audioCopy').checked) formData.append('audio', 'copy');
+    }
+
     const response = await fetch('http://localhost:3001/api/add-subtitles', {
       method: 'POST',
       body: formData
     });
 
-    const data = await response.json();
+    const queued = await response.json();
+
+    if (!queued.success) {
+      showStatus(`Error: ${queued.error}`, 'error');
+      return;
+    }
+
+    // Render runs as a background job - poll until it finishes
+    const data = await waitForJob(queued.jobId);
 
     if (data.success) {
       showStatus('Video processed successfully!', 'success');
-      result.innerHTML = `
-        <h3>Your video is ready:</h3>
+      // Browsers can't play MKV - just offer the download
+      const player = data.container === 'mkv' ? '' : `
         <video controls>
-          <source src="http://localhost:3001${data.outputUrl}" type="video/mp4">
-        </video>
+          <source src="http://localhost:3001${data.outputUrl}" type="video/${data.container === 'webm' ? 'webm' : 'mp4'}">
+        </video>`;
+      result.innerHTML = `
+        <h3>Your video is ready:</h3>${player}
         <p><a href="http://localhost:3001${data.outputUrl}" download>Download Video</a></p>
+        <p class="caption-downloads">
+          Captions only:
+          <a href="#" onclick="downloadCaptions('srt'); return false;">SRT</a>
+          <a href="#" onclick="downloadCaptions('vtt'); return false;">WebVTT</a>
+          <a href="#" onclick="downloadCaptions('ass'); return false;">ASS</a>
+        </p>
       `;
     } else {
       showStatus(`Error: ${data.error}`, 'error');
@@ -204,6 +362,260 @@ async function processVideo() {
   }
 }
 
+// Give each diarized speaker a name and its own text color
+const SPEAKER_COLORS = ['#ffffff', '#ffff00', '#00ffff', '#ff9900', '#66ff66', '#ff66cc'];
+
+function buildSpeakerStyles(speakers) {
+  if (!speakers || speakers.length < 2) return null;
+  const styles = {};
+  speakers.forEach((speaker, index) => {
+    styles[speaker] = {
+      name: `Speaker ${index + 1}`,
+      color: SPEAKER_COLORS[index % SPEAKER_COLORS.length]
+    };
+  });
+  return styles;
+}
+
+// Upload a video to the media library, reusing the previous upload if the same file is still stored
+async function uploadVideo(videoFile) {
+  if (uploadedMedia && uploadedMedia.file === videoFile) {
+    const check = await fetch(`http://localhost:3001/api/media/${uploadedMedia.mediaId}`);
+    if (check.ok) return uploadedMedia.mediaId;
+  }
+
+  const formData = new FormData();
+  formData.append('video', videoFile);
+  const response = await fetch('http://localhost:3001/api/media', {
+    method: 'POST',
+    body: formData
+  });
+  const data = await response.json();
+  if (!data.success) throw new Error(data.error);
+
+  uploadedMedia = { file: videoFile, mediaId: data.mediaId };
+  return data.mediaId;
+}
+
+// Match the font picker to what the server can render: grey out missing fonts, add installed and uploaded ones
+async function loadFonts() {
+  const response = await fetch('http://localhost:3001/api/fonts');
+  const data = await response.json();
+  if (!data.success) return;
+
+  const grid = document.querySelector('.font-grid');
+  grid.querySelectorAll('.font-option[data-installed]').forEach(option => option.remove());
+
+  const libraryFamilies = new Map();
+  data.library.forEach(font => {
+    if (!libraryFamilies.has(font.family)) libraryFamilies.set(font.family, []);
+    libraryFamilies.get(font.family).push(font);
+  });
+  const available = new Set([...data.system, ...libraryFamilies.keys()]);
+
+  // Arial stays usable - the server falls back to a substitute for the default font
+  grid.querySelectorAll('.font-option').forEach(option => {
+    const input = option.querySelector('input');
+    const missing = input.value !== 'Arial' && !available.has(input.value);
+    option.classList.toggle('font-missing', missing);
+    input.disabled = missing;
+    if (missing && input.checked) grid.querySelector('input[value="Arial"]').checked = true;
+  });
+
+  const listed = new Set(Array.from(grid.querySelectorAll('input[name="fontFamily"]')).map(input => input.value));
+  available.forEach(family => {
+    if (listed.has(family)) return;
+    const fonts = libraryFamilies.get(family);
+    const option = document.createElement('label');
+    option.className = 'font-option';
+    option.dataset.installed = 'true';
+    option.innerHTML = `
+      <input type="radio" name="fontFamily">
+      <div class="font-card">
+        <div class="font-preview"><img alt="Aa"></div>
+        <div class="font-name"></div>
+        <div class="font-desc">${fonts ? 'Uploaded' : 'Installed'}</div>
+      </div>
+    `;
+    option.querySelector('input').value = family;
+    option.querySelector('img').src = `http://localhost:3001/api/fonts/preview?family=${encodeURIComponent(family)}`;
+    option.querySelector('.font-name').textContent = family;
+
+    if (fonts) {
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'font-remove';
+      remove.title = 'Remove font';
+      remove.textContent = '×';
+      remove.addEventListener('click', async (e) => {
+        e.preventDefault();
+        await Promise.all(fonts.map(font => fetch(`http://localhost:3001/api/fonts/${font.id}`, { method: 'DELETE' })));
+        loadFonts();
+      });
+      option.querySelector('.font-card').appendChild(remove);
+    }
+    grid.appendChild(option);
+  });
+}
+
+document.getElementById('fontFile').addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  if (!file) return;
+  const fontStatus = document.getElementById('fontStatus');
+  fontStatus.textContent = `Uploading ${file.name}...`;
+
+  const formData = new FormData();
+  formData.append('font', file);
+  try {
+    const response = await fetch('http://localhost:3001/api/fonts', {
+      method: 'POST',
+      body: formData
+    });
+    const data = await response.json();
+    if (!data.success) throw new Error(data.details || data.error);
+
+    await loadFonts();
+    document.querySelector(`input[name="fontFamily"][value="${CSS.escape(data.font.family)}"]`).checked = true;
+    fontStatus.textContent = `Added ${data.font.family} ${data.font.style}`;
+  } catch (error) {
+    fontStatus.textContent = `Font upload failed: ${error.message}`;
+  }
+  e.target.value = '';
+});
+
+// ===== Style presets =====
+// Radio group that holds each preset field
+const PRESET_RADIO_GROUPS = {
+  style: 'subtitleStyle',
+  font: 'fontFamily',
+  fontSize: 'fontSize',
+  color: 'textColor',
+  position: 'subtitlePosition',
+  bgColor: 'bgColor',
+  animation: 'animation',
+  effectColor: 'effectColor',
+  wordsPerLine: 'wordsPerLine',
+  outlineColor: 'outlineColor',
+  shadowColor: 'shadowColor'
+};
+
+let stylePresets = [];
+
+// Set the style pickers from a preset; values without an option go to the custom color/size inputs
+function applyStyleSettings(settings) {
+  Object.entries(PRESET_RADIO_GROUPS).forEach(([field, group]) => {
+    if (settings[field] === undefined) return;
+    const value = String(settings[field]);
+    const option = document.querySelector(`input[name="${group}"][value="${CSS.escape(value)}"]`);
+    if (option) {
+      option.checked = true;
+      return;
+    }
+    if (group === 'fontSize') {
+      document.querySelector('input[name="fontSize"][value="custom"]').checked = true;
+      document.getElementById('customFontSize').value = value;
+      return;
+    }
+    const custom = document.querySelector(`.custom-color-option input[name="${group}"]`);
+    if (!custom) return;
+    custom.value = value;
+    custom.checked = true;
+    if (/^#[0-9a-f]{6}/i.test(value)) custom.parentElement.querySelector('.custom-color-input').value = value.slice(0, 7);
+  });
+
+  ['outlineThickness', 'shadowDepth'].forEach(field => {
+    if (settings[field] === undefined) return;
+    const slider = document.getElementById(field);
+    slider.value = settings[field];
+    slider.dispatchEvent(new Event('input'));
+  });
+}
+
+async function loadStylePresets(selectedId = '') {
+  const response = await fetch('http://localhost:3001/api/presets');
+  const data = await response.json();
+  if (!data.success) return;
+
+  stylePresets = data.presets;
+  const select = document.getElementById('stylePreset');
+  select.innerHTML = '<option value="">None</option>';
+  stylePresets.forEach(preset => {
+    const option = document.createElement('option');
+    option.value = preset.id;
+    option.textContent = preset.name;
+    select.appendChild(option);
+  });
+  select.value = selectedId;
+  document.getElementById('deletePresetBtn').disabled = !selectedId;
+}
+
+document.getElementById('stylePreset').addEventListener('change', (e) => {
+  const preset = stylePresets.find(p => p.id === e.target.value);
+  document.getElementById('deletePresetBtn').disabled = !preset;
+  if (preset) applyStyleSettings(preset.settings);
+});
+
+// Save the current pickers under a name - an existing preset with that name is updated
+async function saveStylePreset() {
+  const current = stylePresets.find(p => p.id === document.getElementById('stylePreset').value);
+  const name = prompt('Preset name', current ? current.name : '');
+  if (!name || !name.trim()) return;
+
+  const existing = stylePresets.find(p => p.name.toLowerCase() === name.trim().toLowerCase());
+  const response = await fetch(`http://localhost:3001/api/presets${existing ? `/${existing.id}` : ''}`, {
+    method: existing ? 'PUT' : 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name: name.trim(), settings: getStyleSettings() })
+  });
+  const data = await response.json();
+  if (!data.success) {
+    showStatus(`Could not save preset: ${data.details || data.error}`, 'error');
+    return;
+  }
+  await loadStylePresets(data.preset.id);
+}
+
+async function deleteStylePreset() {
+  const id = document.getElementById('stylePreset').value;
+  if (!id) return;
+  await fetch(`http://localhost:3001/api/presets/${id}`, { method: 'DELETE' });
+  await loadStylePresets();
+}
+
+// Download the last rendered subtitles as a sidecar caption file
+async function downloadCaptions(format) {
+  if (!lastRender) return;
+
+  try {
+    const response = await fetch('http://localhost:3001/api/export-subtitles', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        ...lastRender.settings,
+        subtitles: lastRender.subtitles,
+        speakerStyles: lastRender.speakerStyles,
+        language: lastRender.language,
+        format
+      })
+    });
+
+    if (!response.ok) {
+      const data = await response.json();
+      showStatus(`Export failed: ${data.error}`, 'error');
+      return;
+    }
+
+    const blob = await response.blob();
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `subtitles.${format}`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  } catch (error) {
+    showStatus(`Export error: ${error.message}`, 'error');
+  }
+}
+
 function showStatus(message, type) {
   const status = document.getElementById('status');
   status.textContent = message;
@@ -216,6 +628,85 @@ function showProgress(show) {
     progressContainer.style.display = 'block';
   } else {
     progressContainer.style.display = 'none';
+    setProgress(null);
+  }
+}
+
+// Set real progress (0-100), or null to go back to the indeterminate animation
+function setProgress(percent, text) {
+  const progressFill = document.querySelector('#progressContainer .progress-fill');
+  const progressText = document.querySelector('#progressContainer .progress-text');
+  if (percent === null || percent === undefined) {
+    progressFill.classList.remove('determinate');
+    progressFill.style.width = '';
+    progressText.textContent = 'Generating video with subtitles...';
+    return;
+  }
+  progressFill.classList.add('determinate');
+  progressFill.style.width = `${Math.max(2, percent)}%`;
+  if (text) progressText.textContent = text;
+}
+
+// Format a job update as progress text, e.g. "Rendering 43% (about 1m 20s left)"
+function describeJob(job) {
+  if (job.status === 'queued') return `Waiting in queue (position ${job.position})...`;
+  let text = job.stageLabel;
+  if (job.progress > 0) text += ` ${Math.round(job.progress)}%`;
+  if (job.eta !== null && job.eta !== undefined) {
+    const minutes = Math.floor(job.eta / 60);
+    const seconds = job.eta % 60;
+    text += ` (about ${minutes > 0 ? `${minutes}m ` : ''}${seconds}s left)`;
+  }
+  return `${text}...`;
+}
+
+function showJobUpdate(job) {
+  setProgress(job.progress, describeJob(job));
+}
+
+// Wait for a background job, streaming updates over SSE (falls back to polling)
+function waitForJob(jobId) {
+  if (!window.EventSource) return pollJob(jobId);
+
+  return new Promise((resolve) => {
+    const source = new EventSource(`http://localhost:3001/api/jobs/${jobId}/events`);
+
+    source.addEventListener('progress', (e) => showJobUpdate(JSON.parse(e.data)));
+    source.addEventListener('done', (e) => {
+      source.close();
+      setProgress(100, 'Done!');
+      resolve({ success: true, ...JSON.parse(e.data).result });
+    });
+    source.addEventListener('failed', (e) => {
+      source.close();
+      resolve({ success: false, error: JSON.parse(e.data).error });
+    });
+    source.onerror = () => {
+      // Stream dropped - keep following the job by polling instead
+      source.close();
+      resolve(pollJob(jobId));
+    };
+  });
+}
+
+// Poll a job until it is done or failed
+async function pollJob(jobId, interval = 1000) {
+  while (true) {
+    const response = await fetch(`http://localhost:3001/api/jobs/${jobId}`);
+    const data = await response.json();
+    if (!data.success) return data;
+
+    const { job } = data;
+    if (job.status === 'done') {
+      setProgress(100, 'Done!');
+      return { success: true, ...job.result };
+    }
+    if (job.status === 'failed') {
+      return { success: false, error: job.error };
+    }
+    showJobUpdate(job);
+
+    await new Promise(resolve => setTimeout(resolve, interval));
   }
 }
 
@@ -229,3 +720,7 @@ document.getElementById('shadowDepth').addEventListener('input', (e) => {
 });
 
 // Initialize: STT mode is default, subtitle section is hidden by default in HTML
+
+// Fonts depend on what the server has installed
+loadFonts().catch(error => console.error('Could not load fonts:', error));
+loadStylePresets().catch(error => console.error('Could not load presets:', error));
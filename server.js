@@ -2,9 +2,16 @@ require('dotenv').config();
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
+const os = require('os');
 const fs = require('fs');
 const cors = require('cors');
 const ffmpeg = require('fluent-ffmpeg');
+const opentype = require('opentype.js');
+const colorString = require('color-string');
+const yazl = require('yazl');
+const EventEmitter = require('events');
+const { execFile, execFileSync } = require('child_process');
+const crypto = require('crypto');
 
 const GROQ_API_KEY = process.env.GROQ_API_KEY;
 
@@ -12,19 +19,20 @@ const app = express();
 const PORT = 3001;
 
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '20mb' })); // Transcripts with word timings get large
 app.use(express.static('public'));
 app.use('/outputs', express.static('outputs'));
 
 // Create directories
-['uploads', 'outputs'].forEach(dir => {
+['uploads', 'outputs', 'projects', 'media', 'fonts', 'presets'].forEach(dir => {
   if (!fs.existsSync(dir)) fs.mkdirSync(dir);
 });
 
 // Configure multer for video uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => cb(null, 'uploads/'),
-  filename: (req, file, cb) => cb(null, Date.now() + path.extname(file.originalname))
+  // Random suffix: several files of one request (batches) arrive within the same millisecond
+  filename: (req, file, cb) => cb(null, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}${path.extname(file.originalname)}`)
 });
 
 const upload = multer({ 
@@ -38,6 +46,172 @@ const upload = multer({
   }
 });
 
+// Caption files (SRT, VTT, ASS) are small text files - keep them in memory
+const captionUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    cb(null, /\.(srt|vtt|ass|ssa)$/i.test(file.originalname));
+  }
+});
+
+// Font files for the font library - parsed before they are kept, so hold them in memory
+const fontUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    cb(null, /\.(ttf|otf)$/i.test(file.originalname));
+  }
+});
+
+// In-memory job queue for long-running renders and transcriptions
+// Job states: queued -> running -> done | failed
+// While running, a job moves through stages (extracting-audio, transcribing, rendering...)
+const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS) || 1;
+const JOB_RETENTION_MS = 60 * 60 * 1000; // Forget finished jobs after an hour
+const jobs = new Map();
+const jobQueue = [];
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0); // One listener per open SSE stream
+let runningJobs = 0;
+
+const JOB_STAGE_LABELS = {
+  queued: 'Waiting in queue',
+  'extracting-audio': 'Extracting audio',
+  transcribing: 'Transcribing',
+  diarizing: 'Finding speakers',
+  rendering: 'Rendering',
+  muxing: 'Muxing subtitles',
+  translating: 'Translating',
+  done: 'Done',
+  failed: 'Failed'
+};
+
+// Helper function for IDs and temp file names that stay distinct when created in the same millisecond
+function uniqueId() {
+  return `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function createJob(type, runner) {
+  const job = {
+    id: uniqueId(),
+    type,
+    status: 'queued',
+    stage: 'queued',
+    progress: 0,
+    result: null,
+    error: null,
+    createdAt: Date.now(),
+    startedAt: null,
+    stageStartedAt: Date.now(),
+    finishedAt: null,
+    runner
+  };
+  jobs.set(job.id, job);
+  jobQueue.push(job);
+  notifyJob(job);
+  processJobQueue();
+  return job;
+}
+
+// Broadcast job changes to SSE subscribers
+function notifyJob(job) {
+  jobEvents.emit(job.id, serializeJob(job));
+}
+
+// Move a running job to a new stage (progress restarts for each stage)
+function setJobStage(job, stage) {
+  job.stage = stage;
+  job.progress = 0;
+  job.stageStartedAt = Date.now();
+  notifyJob(job);
+}
+
+function updateJobProgress(job, percent) {
+  if (typeof percent !== 'number' || isNaN(percent)) return;
+  const rounded = Math.max(job.progress, Math.min(100, Math.round(percent * 10) / 10));
+  if (rounded === job.progress) return;
+  job.progress = rounded;
+  notifyJob(job);
+}
+
+function processJobQueue() {
+  while (runningJobs < MAX_CONCURRENT_JOBS && jobQueue.length > 0) {
+    const job = jobQueue.shift();
+    runningJobs++;
+    job.status = 'running';
+    job.startedAt = Date.now();
+    notifyJob(job);
+    // Remaining queued jobs moved up a place
+    jobQueue.forEach(notifyJob);
+
+    Promise.resolve()
+      .then(() => job.runner(job))
+      .then((result) => {
+        job.status = 'done';
+        job.stage = 'done';
+        job.progress = 100;
+        job.result = result;
+      })
+      .catch((err) => {
+        console.error(`Job ${job.id} failed:`, err);
+        job.status = 'failed';
+        job.stage = 'failed';
+        job.error = err.message;
+      })
+      .finally(() => {
+        job.finishedAt = Date.now();
+        job.runner = null;
+        runningJobs--;
+        notifyJob(job);
+        setTimeout(() => jobs.delete(job.id), JOB_RETENTION_MS).unref();
+        processJobQueue();
+      });
+  }
+}
+
+// Resolve with a job's result once it finishes (reject with its error if it fails)
+function waitForJobResult(job, onUpdate) {
+  return new Promise((resolve, reject) => {
+    const check = (state) => {
+      if (onUpdate) onUpdate(state);
+      if (state.status !== 'done' && state.status !== 'failed') return;
+      jobEvents.removeListener(job.id, check);
+      if (state.status === 'done') resolve(state.result);
+      else reject(new Error(state.error));
+    };
+    jobEvents.on(job.id, check);
+    // It may already have finished before anyone listened
+    if (job.status === 'done' || job.status === 'failed') check(serializeJob(job));
+  });
+}
+
+// Estimate seconds left in the current stage from its progress so far
+function estimateStageETA(job) {
+  if (job.status !== 'running' || job.progress <= 0 || job.progress >= 100) return null;
+  const elapsed = (Date.now() - job.stageStartedAt) / 1000;
+  return Math.round(elapsed * (100 - job.progress) / job.progress);
+}
+
+// Public view of a job (hides the runner function)
+function serializeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    stage: job.stage,
+    stageLabel: JOB_STAGE_LABELS[job.stage] || job.stage,
+    progress: job.progress,
+    eta: estimateStageETA(job),
+    position: job.status === 'queued' ? jobQueue.indexOf(job) + 1 : 0,
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
 // Helper function to escape path for FFmpeg subtitles filter
 function escapeFFmpegPath(filePath) {
   // FFmpeg subtitles filter requires escaping: \ : ' [ ]
@@ -49,6 +223,15 @@ function escapeFFmpegPath(filePath) {
     .replace(/\]/g, '\\]');
 }
 
+// Helper function to check that a cue's word timings still spell out its text
+// Translated or edited cues keep their old timings, which then no longer apply
+function wordTimingsMatchText(subtitle) {
+  const { text, wordTimings } = subtitle;
+  const words = String(text).split(/\s+/).filter(w => w.length > 0);
+  return !!wordTimings && wordTimings.length > 0 && wordTimings.length === words.length &&
+    wordTimings.every((wt, i) => String(wt.word).trim() === words[i]);
+}
+
 // Helper function to get word timings - uses actual timings from STT if available
 function calculateWordTimings(subtitle) {
   const { text, startTime, endTime, wordTimings } = subtitle;
@@ -56,7 +239,8 @@ function calculateWordTimings(subtitle) {
   if (words.length === 0) return [];
 
   // If we have actual word timings from STT, use them (much better sync!)
-  if (wordTimings && wordTimings.length > 0) {
+  // ...but only while they still match the text - translated or edited cues fall back to estimates
+  if (wordTimingsMatchText(subtitle)) {
     console.log('Using actual word timings from STT for better sync');
     return wordTimings.map(wt => ({
       word: wt.word,
@@ -79,43 +263,190 @@ function calculateWordTimings(subtitle) {
   }));
 }
 
-// Helper function to calculate word X positions for natural text flow
-function calculateWordPositions(words, fontSize) {
-  const charWidth = fontSize * 0.52;  // Character width estimation (average)
-  const spaceWidth = fontSize * 0.5;  // Space between words
-  let x = 0;
-  const positions = words.map(word => {
-    const pos = { word, xOffset: Math.round(x) };
-    x += (word.length * charWidth) + spaceWidth;
-    return pos;
+// Fonts are looked up the way drawtext does (fontconfig), so we measure the face that gets drawn
+const SYSTEM_FONT_DIRS = [
+  ...(process.env.FONT_DIRS ? process.env.FONT_DIRS.split(path.delimiter) : []),
+  '/usr/share/fonts',
+  '/usr/local/share/fonts',
+  path.join(os.homedir(), '.fonts'),
+  '/Library/Fonts',
+  '/System/Library/Fonts',
+  'C:\\Windows\\Fonts'
+];
+const fontMetricsCache = new Map(); // family -> parsed font, or null when no file was found
+
+function listFontFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listFontFiles(fullPath);
+    return /\.(ttf|otf)$/i.test(entry.name) ? [fullPath] : [];
   });
-  return { positions, totalWidth: Math.max(1, Math.round(x - spaceWidth)) };
 }
 
-// Helper function to convert BGR color to FFmpeg hex format
-function convertBGRtoHex(bgrColor) {
-  const colorHex = bgrColor.replace('&H', '').replace('&', '');
-  const b = parseInt(colorHex.substr(0, 2), 16);
-  const g = parseInt(colorHex.substr(2, 2), 16);
-  const r = parseInt(colorHex.substr(4, 2), 16);
-  return `0x${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
+// Uploaded fonts live in fonts/ - the ass filter gets it as fontsdir, drawtext gets the file itself
+const FONTS_DIR = path.resolve('fonts');
+const DEFAULT_FONT = 'Arial';
+const fontLibraryCache = new Map(); // file name -> { id, family, style, file }, parsed once
+
+// Helper function to read the family/style names of a font file (throws if it isn't a font)
+function readFontInfo(file) {
+  const data = fs.readFileSync(file);
+  const font = opentype.parse(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+  const names = font.names.windows || font.names.macintosh || font.names;
+  const name = (key) => names[key] && (names[key].en || Object.values(names[key])[0]);
+  const family = name('fontFamily') || name('fullName');
+  if (!family) throw new Error('Font has no family name');
+  return { family, style: name('fontSubfamily') || 'Regular' };
 }
 
-// Helper function to split text into lines by words per line
-// Split text by words per line - for ASS format (uses \N for line break)
-function splitTextByWordsPerLineASS(text, wordsPerLine) {
-  if (!wordsPerLine || wordsPerLine <= 0) return text;
+function listLibraryFonts() {
+  if (!fs.existsSync(FONTS_DIR)) return [];
+  return fs.readdirSync(FONTS_DIR)
+    .filter(name => /\.(ttf|otf)$/i.test(name))
+    .map(name => {
+      if (!fontLibraryCache.has(name)) {
+        const file = path.join(FONTS_DIR, name);
+        try {
+          fontLibraryCache.set(name, { id: path.basename(name, path.extname(name)), file, ...readFontInfo(file) });
+        } catch (e) {
+          console.error(`Skipping unreadable font ${name}:`, e.message);
+          fontLibraryCache.set(name, null);
+        }
+      }
+      return fontLibraryCache.get(name);
+    })
+    .filter(Boolean);
+}
 
-  const words = text.split(/\s+/).filter(w => w.length > 0);
-  if (words.length <= wordsPerLine) return text;
+// Forget parsed fonts after the library changes
+function resetFontCaches() {
+  fontLibraryCache.clear();
+  fontMetricsCache.clear();
+  fontResolveCache.clear();
+}
 
-  const lines = [];
-  for (let i = 0; i < words.length; i += wordsPerLine) {
-    lines.push(words.slice(i, i + wordsPerLine).join(' '));
+const fontResolveCache = new Map(); // family -> resolveFont result
+
+// Helper function to find the font file for a family name
+// Returns { file, exact } - exact is false when fontconfig substituted another family
+function resolveFont(family) {
+  if (fontResolveCache.has(family)) return fontResolveCache.get(family);
+  const wanted = family.toLowerCase();
+  let resolved = null;
+
+  // Regular style first when a family has several uploaded files
+  const libraryFonts = listLibraryFonts().filter(font => font.family.toLowerCase() === wanted);
+  const libraryFont = libraryFonts.find(font => /^(regular|normal|book)$/i.test(font.style)) || libraryFonts[0];
+  if (libraryFont) resolved = { file: libraryFont.file, exact: true };
+
+  if (!resolved) {
+    try {
+      const [file, families] = execFileSync('fc-match', ['--format=%{file}\n%{family}', family], { encoding: 'utf8', timeout: 5000 }).split('\n');
+      if (file && fs.existsSync(file)) {
+        resolved = { file, exact: families.split(',').some(name => name.trim().toLowerCase() === wanted) };
+      }
+    } catch (e) {
+      // fontconfig not installed - fall back to matching file names in the usual font folders
+    }
+  }
+
+  if (!resolved) {
+    const compact = wanted.replace(/[^a-z0-9]/g, '');
+    const files = SYSTEM_FONT_DIRS.flatMap(listFontFiles);
+    const normalize = (file) => path.basename(file, path.extname(file)).toLowerCase().replace(/[^a-z0-9]/g, '');
+    const file = files.find(f => normalize(f) === compact) || files.find(f => normalize(f) === `${compact}regular`);
+    if (file) resolved = { file, exact: true };
+  }
+
+  fontResolveCache.set(family, resolved);
+  return resolved;
+}
+
+function findFontFile(family) {
+  const resolved = resolveFont(family);
+  return resolved ? resolved.file : null;
+}
+
+// Helper function to point drawtext at a font - the exact file when we have it, else let fontconfig pick
+function drawtextFontArg(family) {
+  const resolved = resolveFont(family);
+  if (resolved && resolved.exact) {
+    return `fontfile='${resolved.file.replace(/\\/g, '/').replace(/'/g, "\\'").replace(/:/g, '\\:')}'`;
   }
-  return lines.join('\\N'); // \N is ASS line break
+  return `font='${family.replace(/'/g, "\\'").replace(/:/g, "\\:")}'`;
 }
 
+// Helper function to report the first font in the tracks that isn't installed (null if all resolve)
+// The default font is allowed to fall back to whatever fontconfig substitutes
+function findMissingFont(tracks) {
+  const families = tracks.flatMap(track => [track.options.font, ...track.subtitles.filter(sub => sub.options).map(sub => sub.options.font)]);
+  const missing = families.find(family => {
+    if (family === DEFAULT_FONT) return false;
+    const resolved = resolveFont(family);
+    return !resolved || !resolved.exact;
+  });
+  return missing || null;
+}
+
+function missingFontError(family) {
+  return { success: false, error: `Font "${family}" is not installed`, details: 'Upload the font file to /api/fonts or choose another font' };
+}
+
+function loadFontMetrics(family) {
+  if (!fontMetricsCache.has(family)) {
+    let font = null;
+    const file = findFontFile(family);
+    if (file) {
+      try {
+        const data = fs.readFileSync(file);
+        font = opentype.parse(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+        console.log(`Measuring "${family}" with ${file}`);
+      } catch (e) {
+        console.error(`Could not read font ${file}:`, e.message);
+      }
+    } else {
+      console.log(`No font file found for "${family}", estimating text widths`);
+    }
+    fontMetricsCache.set(family, font);
+  }
+  return fontMetricsCache.get(family);
+}
+
+// Helper function to calculate word X positions for natural text flow
+// Words are placed where they would fall in a single text run, using the font's advance widths and kerning
+function calculateWordPositions(words, fontSize, fontFamily) {
+  const font = fontFamily ? loadFontMetrics(fontFamily) : null;
+
+  if (!font) {
+    const charWidth = fontSize * 0.52;  // Character width estimation (average)
+    const spaceWidth = fontSize * 0.5;  // Space between words
+    let x = 0;
+    const positions = words.map(word => {
+      const pos = { word, xOffset: Math.round(x) };
+      x += (word.length * charWidth) + spaceWidth;
+      return pos;
+    });
+    return { positions, totalWidth: Math.max(1, Math.round(x - spaceWidth)) };
+  }
+
+  // Sum glyph advances and pair kerning character by character, as drawtext does (no ligature shaping)
+  const scale = fontSize / font.unitsPerEm;
+  const measure = (text) => {
+    const glyphs = Array.from(text).map(char => font.charToGlyph(char));
+    return glyphs.reduce((width, glyph, i) => {
+      const kerning = i > 0 ? font.getKerningValue(glyphs[i - 1], glyph) : 0;
+      return width + ((glyph.advanceWidth || 0) + kerning) * scale;
+    }, 0);
+  };
+  const positions = words.map((word, i) => ({
+    word,
+    xOffset: i === 0 ? 0 : Math.round(measure(`${words.slice(0, i).join(' ')} `))
+  }));
+  return { positions, totalWidth: Math.max(1, Math.round(measure(words.join(' ')))) };
+}
+
+// Helper function to split text into lines by words per line
 // Split text by words per line - for drawtext (uses actual newline)
 function splitTextByWordsPerLine(text, wordsPerLine) {
   if (!wordsPerLine || wordsPerLine <= 0) return text;
@@ -130,8 +461,40 @@ function splitTextByWordsPerLine(text, wordsPerLine) {
   return lines.join('\n'); // actual newline for drawtext
 }
 
+// Lay out cue text for caption files: wordsPerLine wins, then the segmenter's balanced line breaks
+// (ignored once the text has been edited and no longer matches them)
+function formatCueLines(sub, wordsPerLine, lineBreak) {
+  const hasLines = Array.isArray(sub.lines) && sub.lines.length > 1 && sub.lines.join(' ') === sub.text;
+  if (wordsPerLine > 0 || !hasLines) {
+    return splitTextByWordsPerLine(sub.text, wordsPerLine).split('\n').join(lineBreak);
+  }
+  return sub.lines.join(lineBreak);
+}
+
+// drawtext sizes below are designed for 1080p; layout.scale adapts them to the real frame
+// layout.outlineColor is the text border in drawtext notation
+const DEFAULT_DRAWTEXT_LAYOUT = { scale: 1, marginV: 50, outlineColor: 'black' };
+
+function scaleStroke(width, scale) {
+  return Math.max(1, Math.round(width * scale));
+}
+
+// Layer offsets and motion distances (glitch jitter, extrude depth, bounce height) scale with the frame too
+function scaleOffset(distance, scale) {
+  return Math.round(distance * scale * 10) / 10;
+}
+
+// Helper function to find the Y of a text block for a position
+// marginV keeps the block clear of the frame edge (larger on reframed social canvases)
+function calculateBlockY(position, blockHeight, marginV = 50) {
+  if (position.includes('top')) return marginV;
+  if (position.includes('middle')) return `(h-${blockHeight})/2`;
+  return `h-${blockHeight}-${marginV}`;
+}
+
 // Create word-by-word highlight filter (karaoke style with background box)
-function createWordHighlightFilter(subtitle, font, baseColor, highlightColor, position, bgColor, fontSize, wordsPerLine = 0) {
+function createWordHighlightFilter(subtitle, font, baseColor, highlightColor, position, bgColor, fontSize, wordsPerLine = 0, layout = DEFAULT_DRAWTEXT_LAYOUT) {
+  const { scale, marginV, outlineColor } = layout;
   const timings = calculateWordTimings(subtitle);
   if (timings.length === 0) return null;
 
@@ -141,7 +504,7 @@ function createWordHighlightFilter(subtitle, font, baseColor, highlightColor, po
   const lineHeight = Math.round(fontSizeNum * 1.3);
 
   const filters = [];
-  const escapedFont = font.replace(/'/g, "\\'").replace(/:/g, "\\:");
+  const fontArg = drawtextFontArg(font);
 
   // Split words into lines if wordsPerLine is set
   const effectiveWPL = wordsPerLine > 0 ? wordsPerLine : words.length;
@@ -156,17 +519,10 @@ function createWordHighlightFilter(subtitle, font, baseColor, highlightColor, po
   const totalBlockHeight = totalLines * lineHeight;
 
   // Calculate base Y position based on alignment
-  let baseY;
-  if (position.includes('top')) {
-    baseY = 50;
-  } else if (position.includes('middle')) {
-    baseY = `(h-${totalBlockHeight})/2`;
-  } else {
-    baseY = `h-${totalBlockHeight}-50`;
-  }
+  const baseY = calculateBlockY(position, totalBlockHeight, marginV);
 
   lines.forEach((lineWords, lineIndex) => {
-    const { positions: linePositions, totalWidth } = calculateWordPositions(lineWords, fontSizeNum);
+    const { positions: linePositions, totalWidth } = calculateWordPositions(lineWords, fontSizeNum, font);
     const currentLineTimings = lineTimings[lineIndex];
 
     const yOffset = lineIndex * lineHeight;
@@ -177,7 +533,7 @@ function createWordHighlightFilter(subtitle, font, baseColor, highlightColor, po
       const xExpr = `(w-${totalWidth})/2+${linePositions[i].xOffset}`;
       const escaped = word.replace(/'/g, "\\'").replace(/:/g, "\\:");
       filters.push(
-        `drawtext=text='${escaped}':font='${escapedFont}':fontsize=${fontSizeNum}:fontcolor=${baseColor}:x=${xExpr}:y=${yExpr}:borderw=2:bordercolor=black:enable='between(t,${subtitle.startTime},${subtitle.endTime})'`
+        `drawtext=text='${escaped}':${fontArg}:fontsize=${fontSizeNum}:fontcolor=${baseColor}:x=${xExpr}:y=${yExpr}:borderw=${scaleStroke(2, scale)}:bordercolor=${outlineColor}:enable='between(t,${subtitle.startTime},${subtitle.endTime})'`
       );
     });
 
@@ -187,7 +543,7 @@ function createWordHighlightFilter(subtitle, font, baseColor, highlightColor, po
       const xExpr = `(w-${totalWidth})/2+${linePositions[i].xOffset}`;
       const escaped = word.replace(/'/g, "\\'").replace(/:/g, "\\:");
       filters.push(
-        `drawtext=text='${escaped}':font='${escapedFont}':fontsize=${fontSizeNum}:fontcolor=${baseColor}:x=${xExpr}:y=${yExpr}:box=1:boxcolor=${highlightColor}@0.7:boxborderw=6:borderw=2:bordercolor=black:enable='between(t,${timing.start},${timing.end})'`
+        `drawtext=text='${escaped}':${fontArg}:fontsize=${fontSizeNum}:fontcolor=${baseColor}:x=${xExpr}:y=${yExpr}:box=1:boxcolor=${highlightColor}:boxborderw=${scaleStroke(6, scale)}:borderw=${scaleStroke(2, scale)}:bordercolor=${outlineColor}:enable='between(t,${timing.start},${timing.end})'`
       );
     });
   });
@@ -196,7 +552,8 @@ function createWordHighlightFilter(subtitle, font, baseColor, highlightColor, po
 }
 
 // Create word-by-word fill filter (progressive color change that stays)
-function createWordFillFilter(subtitle, font, baseColor, fillColor, position, bgColor, fontSize, wordsPerLine = 0) {
+function createWordFillFilter(subtitle, font, baseColor, fillColor, position, bgColor, fontSize, wordsPerLine = 0, layout = DEFAULT_DRAWTEXT_LAYOUT) {
+  const { scale, marginV, outlineColor } = layout;
   const timings = calculateWordTimings(subtitle);
   if (timings.length === 0) return null;
 
@@ -206,7 +563,7 @@ function createWordFillFilter(subtitle, font, baseColor, fillColor, position, bg
   const lineHeight = Math.round(fontSizeNum * 1.2);
 
   const filters = [];
-  const escapedFont = font.replace(/'/g, "\\'").replace(/:/g, "\\:");
+  const fontArg = drawtextFontArg(font);
 
   // Split words into lines if wordsPerLine is set
   const effectiveWPL = wordsPerLine > 0 ? wordsPerLine : words.length;
@@ -221,17 +578,10 @@ function createWordFillFilter(subtitle, font, baseColor, fillColor, position, bg
   const totalBlockHeight = totalLines * lineHeight;
 
   // Calculate base Y position based on alignment
-  let baseY;
-  if (position.includes('top')) {
-    baseY = 50;
-  } else if (position.includes('middle')) {
-    baseY = `(h-${totalBlockHeight})/2`;
-  } else {
-    baseY = `h-${totalBlockHeight}-50`;
-  }
+  const baseY = calculateBlockY(position, totalBlockHeight, marginV);
 
   lines.forEach((lineWords, lineIndex) => {
-    const { positions: linePositions, totalWidth } = calculateWordPositions(lineWords, fontSizeNum);
+    const { positions: linePositions, totalWidth } = calculateWordPositions(lineWords, fontSizeNum, font);
     const currentLineTimings = lineTimings[lineIndex];
 
     const yOffset = lineIndex * lineHeight;
@@ -245,12 +595,12 @@ function createWordFillFilter(subtitle, font, baseColor, fillColor, position, bg
 
       // Base color: visible from subtitle start until word's turn
       filters.push(
-        `drawtext=text='${escaped}':font='${escapedFont}':fontsize=${fontSizeNum}:fontcolor=${baseColor}:x=${xExpr}:y=${yExpr}:borderw=2:bordercolor=black:enable='between(t,${subtitle.startTime},${timing.start})'`
+        `drawtext=text='${escaped}':${fontArg}:fontsize=${fontSizeNum}:fontcolor=${baseColor}:x=${xExpr}:y=${yExpr}:borderw=${scaleStroke(2, scale)}:bordercolor=${outlineColor}:enable='between(t,${subtitle.startTime},${timing.start})'`
       );
 
       // Fill color: visible from word's turn until subtitle ends (stays filled)
       filters.push(
-        `drawtext=text='${escaped}':font='${escapedFont}':fontsize=${fontSizeNum}:fontcolor=${fillColor}:x=${xExpr}:y=${yExpr}:borderw=2:bordercolor=black:enable='between(t,${timing.start},${subtitle.endTime})'`
+        `drawtext=text='${escaped}':${fontArg}:fontsize=${fontSizeNum}:fontcolor=${fillColor}:x=${xExpr}:y=${yExpr}:borderw=${scaleStroke(2, scale)}:bordercolor=${outlineColor}:enable='between(t,${timing.start},${subtitle.endTime})'`
       );
     });
   });
@@ -259,7 +609,8 @@ function createWordFillFilter(subtitle, font, baseColor, fillColor, position, bg
 }
 
 // Create word-by-word color change filter (current word changes color, synced with speech)
-function createWordColorFilter(subtitle, font, baseColor, highlightColor, position, bgColor, fontSize, wordsPerLine = 0) {
+function createWordColorFilter(subtitle, font, baseColor, highlightColor, position, bgColor, fontSize, wordsPerLine = 0, layout = DEFAULT_DRAWTEXT_LAYOUT) {
+  const { scale, marginV, outlineColor } = layout;
   const timings = calculateWordTimings(subtitle);
   if (timings.length === 0) return null;
 
@@ -269,7 +620,7 @@ function createWordColorFilter(subtitle, font, baseColor, highlightColor, positi
   const lineHeight = Math.round(fontSizeNum * 1.3);
 
   const filters = [];
-  const escapedFont = font.replace(/'/g, "\\'").replace(/:/g, "\\:");
+  const fontArg = drawtextFontArg(font);
 
   // Split words into lines if wordsPerLine is set
   const effectiveWPL = wordsPerLine > 0 ? wordsPerLine : words.length;
@@ -284,17 +635,10 @@ function createWordColorFilter(subtitle, font, baseColor, highlightColor, positi
   const totalBlockHeight = totalLines * lineHeight;
 
   // Calculate base Y position based on alignment
-  let baseY;
-  if (position.includes('top')) {
-    baseY = 50;
-  } else if (position.includes('middle')) {
-    baseY = `(h-${totalBlockHeight})/2`;
-  } else {
-    baseY = `h-${totalBlockHeight}-50`;
-  }
+  const baseY = calculateBlockY(position, totalBlockHeight, marginV);
 
   lines.forEach((lineWords, lineIndex) => {
-    const { positions: linePositions, totalWidth } = calculateWordPositions(lineWords, fontSizeNum);
+    const { positions: linePositions, totalWidth } = calculateWordPositions(lineWords, fontSizeNum, font);
     const currentLineTimings = lineTimings[lineIndex];
 
     const yOffset = lineIndex * lineHeight;
@@ -309,16 +653,16 @@ function createWordColorFilter(subtitle, font, baseColor, highlightColor, positi
       // Base color: show before and after this word's timing
       // Before: from subtitle start to word start
       filters.push(
-        `drawtext=text='${escaped}':font='${escapedFont}':fontsize=${fontSizeNum}:fontcolor=${baseColor}:x=${xExpr}:y=${yExpr}:borderw=2:bordercolor=black:enable='between(t,${subtitle.startTime},${timing.start})'`
+        `drawtext=text='${escaped}':${fontArg}:fontsize=${fontSizeNum}:fontcolor=${baseColor}:x=${xExpr}:y=${yExpr}:borderw=${scaleStroke(2, scale)}:bordercolor=${outlineColor}:enable='between(t,${subtitle.startTime},${timing.start})'`
       );
       // After: from word end to subtitle end
       filters.push(
-        `drawtext=text='${escaped}':font='${escapedFont}':fontsize=${fontSizeNum}:fontcolor=${baseColor}:x=${xExpr}:y=${yExpr}:borderw=2:bordercolor=black:enable='between(t,${timing.end},${subtitle.endTime})'`
+        `drawtext=text='${escaped}':${fontArg}:fontsize=${fontSizeNum}:fontcolor=${baseColor}:x=${xExpr}:y=${yExpr}:borderw=${scaleStroke(2, scale)}:bordercolor=${outlineColor}:enable='between(t,${timing.end},${subtitle.endTime})'`
       );
 
       // Highlight color: during this word's timing (current spoken word)
       filters.push(
-        `drawtext=text='${escaped}':font='${escapedFont}':fontsize=${fontSizeNum}:fontcolor=${highlightColor}:x=${xExpr}:y=${yExpr}:borderw=2:bordercolor=black:enable='between(t,${timing.start},${timing.end})'`
+        `drawtext=text='${escaped}':${fontArg}:fontsize=${fontSizeNum}:fontcolor=${highlightColor}:x=${xExpr}:y=${yExpr}:borderw=${scaleStroke(2, scale)}:bordercolor=${outlineColor}:enable='between(t,${timing.start},${timing.end})'`
       );
     });
   });
@@ -327,7 +671,8 @@ function createWordColorFilter(subtitle, font, baseColor, highlightColor, positi
 }
 
 // Create word-by-word reveal filter (words appear one by one as spoken)
-function createWordRevealFilter(subtitle, font, textColor, position, bgColor, fontSize, wordsPerLine = 0) {
+function createWordRevealFilter(subtitle, font, textColor, position, bgColor, fontSize, wordsPerLine = 0, layout = DEFAULT_DRAWTEXT_LAYOUT) {
+  const { scale, marginV, outlineColor } = layout;
   const timings = calculateWordTimings(subtitle);
   if (timings.length === 0) return null;
 
@@ -337,7 +682,7 @@ function createWordRevealFilter(subtitle, font, textColor, position, bgColor, fo
   const lineHeight = Math.round(fontSizeNum * 1.3);
 
   const filters = [];
-  const escapedFont = font.replace(/'/g, "\\'").replace(/:/g, "\\:");
+  const fontArg = drawtextFontArg(font);
 
   // Split words into lines if wordsPerLine is set
   const effectiveWPL = wordsPerLine > 0 ? wordsPerLine : words.length;
@@ -352,17 +697,10 @@ function createWordRevealFilter(subtitle, font, textColor, position, bgColor, fo
   const totalBlockHeight = totalLines * lineHeight;
 
   // Calculate base Y position based on alignment
-  let baseY;
-  if (position.includes('top')) {
-    baseY = 50;
-  } else if (position.includes('middle')) {
-    baseY = `(h-${totalBlockHeight})/2`;
-  } else {
-    baseY = `h-${totalBlockHeight}-50`;
-  }
+  const baseY = calculateBlockY(position, totalBlockHeight, marginV);
 
   lines.forEach((lineWords, lineIndex) => {
-    const { positions: linePositions, totalWidth } = calculateWordPositions(lineWords, fontSizeNum);
+    const { positions: linePositions, totalWidth } = calculateWordPositions(lineWords, fontSizeNum, font);
     const currentLineTimings = lineTimings[lineIndex];
 
     const yOffset = lineIndex * lineHeight;
@@ -376,7 +714,7 @@ function createWordRevealFilter(subtitle, font, textColor, position, bgColor, fo
 
       // Word appears from its start time and stays until subtitle ends
       filters.push(
-        `drawtext=text='${escaped}':font='${escapedFont}':fontsize=${fontSizeNum}:fontcolor=${textColor}:x=${xExpr}:y=${yExpr}:borderw=2:bordercolor=black:enable='between(t,${timing.start},${subtitle.endTime})'`
+        `drawtext=text='${escaped}':${fontArg}:fontsize=${fontSizeNum}:fontcolor=${textColor}:x=${xExpr}:y=${yExpr}:borderw=${scaleStroke(2, scale)}:bordercolor=${outlineColor}:enable='between(t,${timing.start},${subtitle.endTime})'`
       );
     });
   });
@@ -385,7 +723,8 @@ function createWordRevealFilter(subtitle, font, textColor, position, bgColor, fo
 }
 
 // Create stroke animation (outline first, then fills with color when spoken)
-function createStrokeFilter(subtitle, font, baseColor, fillColor, position, bgColor, fontSize, wordsPerLine = 0) {
+function createStrokeFilter(subtitle, font, baseColor, fillColor, position, bgColor, fontSize, wordsPerLine = 0, layout = DEFAULT_DRAWTEXT_LAYOUT) {
+  const { scale, marginV, outlineColor } = layout;
   const timings = calculateWordTimings(subtitle);
   if (timings.length === 0) return null;
 
@@ -395,7 +734,7 @@ function createStrokeFilter(subtitle, font, baseColor, fillColor, position, bgCo
   const lineHeight = Math.round(fontSizeNum * 1.3);
 
   const filters = [];
-  const escapedFont = font.replace(/'/g, "\\'").replace(/:/g, "\\:");
+  const fontArg = drawtextFontArg(font);
 
   // Split words into lines if wordsPerLine is set
   const effectiveWPL = wordsPerLine > 0 ? wordsPerLine : words.length;
@@ -410,17 +749,10 @@ function createStrokeFilter(subtitle, font, baseColor, fillColor, position, bgCo
   const totalBlockHeight = totalLines * lineHeight;
 
   // Calculate base Y position based on alignment
-  let baseY;
-  if (position.includes('top')) {
-    baseY = 50;
-  } else if (position.includes('middle')) {
-    baseY = `(h-${totalBlockHeight})/2`;
-  } else {
-    baseY = `h-${totalBlockHeight}-50`;
-  }
+  const baseY = calculateBlockY(position, totalBlockHeight, marginV);
 
   lines.forEach((lineWords, lineIndex) => {
-    const { positions: linePositions, totalWidth } = calculateWordPositions(lineWords, fontSizeNum);
+    const { positions: linePositions, totalWidth } = calculateWordPositions(lineWords, fontSizeNum, font);
     const currentLineTimings = lineTimings[lineIndex];
 
     const yOffset = lineIndex * lineHeight;
@@ -434,12 +766,12 @@ function createStrokeFilter(subtitle, font, baseColor, fillColor, position, bgCo
       // Outline only (before word is spoken): thick border, transparent-ish text
       // Use base color for outline with low alpha for text
       filters.push(
-        `drawtext=text='${escaped}':font='${escapedFont}':fontsize=${fontSizeNum}:fontcolor=${baseColor}@0.3:x=${xExpr}:y=${yExpr}:borderw=3:bordercolor=${baseColor}:enable='between(t,${subtitle.startTime},${timing.start})'`
+        `drawtext=text='${escaped}':${fontArg}:fontsize=${fontSizeNum}:fontcolor=${baseColor}@0.3:x=${xExpr}:y=${yExpr}:borderw=${scaleStroke(3, scale)}:bordercolor=${baseColor}:enable='between(t,${subtitle.startTime},${timing.start})'`
       );
 
       // Filled (when word is spoken): full color text with border
       filters.push(
-        `drawtext=text='${escaped}':font='${escapedFont}':fontsize=${fontSizeNum}:fontcolor=${fillColor}:x=${xExpr}:y=${yExpr}:borderw=2:bordercolor=black:enable='between(t,${timing.start},${subtitle.endTime})'`
+        `drawtext=text='${escaped}':${fontArg}:fontsize=${fontSizeNum}:fontcolor=${fillColor}:x=${xExpr}:y=${yExpr}:borderw=${scaleStroke(2, scale)}:bordercolor=${outlineColor}:enable='between(t,${timing.start},${subtitle.endTime})'`
       );
     });
   });
@@ -448,11 +780,12 @@ function createStrokeFilter(subtitle, font, baseColor, fillColor, position, bgCo
 }
 
 // Create fire text effect (flickering orange/red/yellow colors)
-function createFireTextFilter(subtitle, font, position, fontSize, wordsPerLine = 0) {
+function createFireTextFilter(subtitle, font, position, fontSize, wordsPerLine = 0, layout = DEFAULT_DRAWTEXT_LAYOUT) {
+  const { scale, marginV } = layout;
   const { text, startTime, endTime } = subtitle;
   const fontSizeNum = parseInt(fontSize);
   const lineHeight = Math.round(fontSizeNum * 1.3);
-  const escapedFont = font.replace(/'/g, "\\'").replace(/:/g, "\\:");
+  const fontArg = drawtextFontArg(font);
 
   // Split text into lines if wordsPerLine is set
   let lines = [text];
@@ -468,14 +801,7 @@ function createFireTextFilter(subtitle, font, position, fontSize, wordsPerLine =
   const totalHeight = totalLines * lineHeight;
 
   // Calculate base Y position
-  let baseY;
-  if (position.includes('top')) {
-    baseY = 50;
-  } else if (position.includes('middle')) {
-    baseY = `(h-${totalHeight})/2`;
-  } else {
-    baseY = `h-${totalHeight}-50`;
-  }
+  const baseY = calculateBlockY(position, totalHeight, marginV);
 
   // Fire colors - cycle through red, orange, yellow
   const fireColors = ['0xff4500', '0xff6600', '0xffcc00', '0xff8c00', '0xff0000'];
@@ -496,13 +822,13 @@ function createFireTextFilter(subtitle, font, position, fontSize, wordsPerLine =
       // Create a time-based color cycling effect
       // Each color shows for flickerSpeed seconds, then cycles
       filters.push(
-        `drawtext=text='${escapedText}':font='${escapedFont}':fontsize=${fontSize}:fontcolor=${color}:x=(w-text_w)/2:y=${lineY}:borderw=3:bordercolor=0x8b0000:shadowy=2:shadowx=2:shadowcolor=0x330000:alpha='if(lt(mod(t-${startTime}+${offset}\\,${cycleDuration})\\,${flickerSpeed})\\,1\\,0)':enable='between(t,${startTime},${endTime})'`
+        `drawtext=text='${escapedText}':${fontArg}:fontsize=${fontSize}:fontcolor=${color}:x=(w-text_w)/2:y=${lineY}:borderw=${scaleStroke(3, scale)}:bordercolor=0x8b0000:shadowy=${scaleStroke(2, scale)}:shadowx=${scaleStroke(2, scale)}:shadowcolor=0x330000:alpha='if(lt(mod(t-${startTime}+${offset}\\,${cycleDuration})\\,${flickerSpeed})\\,1\\,0)':enable='between(t,${startTime},${endTime})'`
       );
     });
 
     // Add a constant glow/base layer
     filters.push(
-      `drawtext=text='${escapedText}':font='${escapedFont}':fontsize=${fontSize}:fontcolor=0xff6600:x=(w-text_w)/2:y=${lineY}:borderw=4:bordercolor=0x8b0000:alpha=0.3:enable='between(t,${startTime},${endTime})'`
+      `drawtext=text='${escapedText}':${fontArg}:fontsize=${fontSize}:fontcolor=0xff6600:x=(w-text_w)/2:y=${lineY}:borderw=${scaleStroke(4, scale)}:bordercolor=0x8b0000:alpha=0.3:enable='between(t,${startTime},${endTime})'`
     );
   });
 
@@ -510,11 +836,12 @@ function createFireTextFilter(subtitle, font, position, fontSize, wordsPerLine =
 }
 
 // Create ice text effect (shimmering blue/cyan/white colors)
-function createIceTextFilter(subtitle, font, position, fontSize, wordsPerLine = 0) {
+function createIceTextFilter(subtitle, font, position, fontSize, wordsPerLine = 0, layout = DEFAULT_DRAWTEXT_LAYOUT) {
+  const { scale, marginV } = layout;
   const { text, startTime, endTime } = subtitle;
   const fontSizeNum = parseInt(fontSize);
   const lineHeight = Math.round(fontSizeNum * 1.3);
-  const escapedFont = font.replace(/'/g, "\\'").replace(/:/g, "\\:");
+  const fontArg = drawtextFontArg(font);
 
   // Split text into lines if wordsPerLine is set
   let lines = [text];
@@ -530,14 +857,7 @@ function createIceTextFilter(subtitle, font, position, fontSize, wordsPerLine =
   const totalHeight = totalLines * lineHeight;
 
   // Calculate base Y position
-  let baseY;
-  if (position.includes('top')) {
-    baseY = 50;
-  } else if (position.includes('middle')) {
-    baseY = `(h-${totalHeight})/2`;
-  } else {
-    baseY = `h-${totalHeight}-50`;
-  }
+  const baseY = calculateBlockY(position, totalHeight, marginV);
 
   // Ice colors - cycle through white, light blue, cyan, deep blue
   const iceColors = ['0xffffff', '0x87ceeb', '0x00bfff', '0xb0e0e6', '0x00ffff'];
@@ -555,13 +875,13 @@ function createIceTextFilter(subtitle, font, position, fontSize, wordsPerLine =
       const cycleDuration = iceColors.length * shimmerSpeed;
 
       filters.push(
-        `drawtext=text='${escapedText}':font='${escapedFont}':fontsize=${fontSize}:fontcolor=${color}:x=(w-text_w)/2:y=${lineY}:borderw=3:bordercolor=0x4169e1:shadowy=1:shadowx=1:shadowcolor=0x000080:alpha='if(lt(mod(t-${startTime}+${offset}\\,${cycleDuration})\\,${shimmerSpeed})\\,1\\,0)':enable='between(t,${startTime},${endTime})'`
+        `drawtext=text='${escapedText}':${fontArg}:fontsize=${fontSize}:fontcolor=${color}:x=(w-text_w)/2:y=${lineY}:borderw=${scaleStroke(3, scale)}:bordercolor=0x4169e1:shadowy=${scaleStroke(1, scale)}:shadowx=${scaleStroke(1, scale)}:shadowcolor=0x000080:alpha='if(lt(mod(t-${startTime}+${offset}\\,${cycleDuration})\\,${shimmerSpeed})\\,1\\,0)':enable='between(t,${startTime},${endTime})'`
       );
     });
 
     // Add a constant frost/glow base layer
     filters.push(
-      `drawtext=text='${escapedText}':font='${escapedFont}':fontsize=${fontSize}:fontcolor=0x87ceeb:x=(w-text_w)/2:y=${lineY}:borderw=4:bordercolor=0x4682b4:alpha=0.3:enable='between(t,${startTime},${endTime})'`
+      `drawtext=text='${escapedText}':${fontArg}:fontsize=${fontSize}:fontcolor=0x87ceeb:x=(w-text_w)/2:y=${lineY}:borderw=${scaleStroke(4, scale)}:bordercolor=0x4682b4:alpha=0.3:enable='between(t,${startTime},${endTime})'`
     );
   });
 
@@ -569,11 +889,12 @@ function createIceTextFilter(subtitle, font, position, fontSize, wordsPerLine =
 }
 
 // Create glitch effect (RGB splitting and jitter)
-function createGlitchFilter(subtitle, font, position, fontSize, wordsPerLine = 0) {
+function createGlitchFilter(subtitle, font, position, fontSize, wordsPerLine = 0, layout = DEFAULT_DRAWTEXT_LAYOUT) {
+  const { scale, marginV } = layout;
   const { text, startTime, endTime } = subtitle;
   const fontSizeNum = parseInt(fontSize);
   const lineHeight = Math.round(fontSizeNum * 1.3);
-  const escapedFont = font.replace(/'/g, "\\'").replace(/:/g, "\\:");
+  const fontArg = drawtextFontArg(font);
 
   // Split text into lines if wordsPerLine is set
   let lines = [text];
@@ -589,14 +910,7 @@ function createGlitchFilter(subtitle, font, position, fontSize, wordsPerLine = 0
   const totalHeight = totalLines * lineHeight;
 
   // Calculate base Y position
-  let baseY;
-  if (position.includes('top')) {
-    baseY = 50;
-  } else if (position.includes('middle')) {
-    baseY = `(h-${totalHeight})/2`;
-  } else {
-    baseY = `h-${totalHeight}-50`;
-  }
+  const baseY = calculateBlockY(position, totalHeight, marginV);
 
   const filters = [];
 
@@ -604,30 +918,32 @@ function createGlitchFilter(subtitle, font, position, fontSize, wordsPerLine = 0
     const escapedText = line.replace(/'/g, "\\'").replace(/:/g, "\\:");
     const yOffset = lineIndex * lineHeight;
     const lineY = typeof baseY === 'string' ? `${baseY}+${yOffset}` : baseY + yOffset;
+    const split = scaleOffset(4, scale);
+    const jitter = scaleOffset(2, scale);
 
     // Red channel - offset left with random jitter
     filters.push(
-      `drawtext=text='${escapedText}':font='${escapedFont}':fontsize=${fontSize}:fontcolor=0xff0000@0.7:x=(w-text_w)/2-4+2*sin(t*30):y=${lineY}+2*cos(t*25):enable='between(t,${startTime},${endTime})'`
+      `drawtext=text='${escapedText}':${fontArg}:fontsize=${fontSize}:fontcolor=0xff0000@0.7:x=(w-text_w)/2-${split}+${jitter}*sin(t*30):y=${lineY}+${jitter}*cos(t*25):enable='between(t,${startTime},${endTime})'`
     );
 
     // Green channel - offset right with different jitter
     filters.push(
-      `drawtext=text='${escapedText}':font='${escapedFont}':fontsize=${fontSize}:fontcolor=0x00ff00@0.7:x=(w-text_w)/2+4+2*cos(t*35):y=${lineY}+2*sin(t*20):enable='between(t,${startTime},${endTime})'`
+      `drawtext=text='${escapedText}':${fontArg}:fontsize=${fontSize}:fontcolor=0x00ff00@0.7:x=(w-text_w)/2+${split}+${jitter}*cos(t*35):y=${lineY}+${jitter}*sin(t*20):enable='between(t,${startTime},${endTime})'`
     );
 
     // Blue channel - slight offset with jitter
     filters.push(
-      `drawtext=text='${escapedText}':font='${escapedFont}':fontsize=${fontSize}:fontcolor=0x0000ff@0.7:x=(w-text_w)/2+2*sin(t*40):y=${lineY}-2+2*cos(t*30):enable='between(t,${startTime},${endTime})'`
+      `drawtext=text='${escapedText}':${fontArg}:fontsize=${fontSize}:fontcolor=0x0000ff@0.7:x=(w-text_w)/2+${jitter}*sin(t*40):y=${lineY}-${jitter}+${jitter}*cos(t*30):enable='between(t,${startTime},${endTime})'`
     );
 
     // Main white text on top
     filters.push(
-      `drawtext=text='${escapedText}':font='${escapedFont}':fontsize=${fontSize}:fontcolor=0xffffff:x=(w-text_w)/2:y=${lineY}:borderw=1:bordercolor=black:enable='between(t,${startTime},${endTime})'`
+      `drawtext=text='${escapedText}':${fontArg}:fontsize=${fontSize}:fontcolor=0xffffff:x=(w-text_w)/2:y=${lineY}:borderw=${scaleStroke(1, scale)}:bordercolor=black:enable='between(t,${startTime},${endTime})'`
     );
 
     // Random glitch flashes (appears/disappears rapidly)
     filters.push(
-      `drawtext=text='${escapedText}':font='${escapedFont}':fontsize=${fontSize}:fontcolor=0x00ffff:x=(w-text_w)/2+8*sin(t*50):y=${lineY}:alpha='if(lt(mod(t*10\\,1)\\,0.1)\\,0.8\\,0)':enable='between(t,${startTime},${endTime})'`
+      `drawtext=text='${escapedText}':${fontArg}:fontsize=${fontSize}:fontcolor=0x00ffff:x=(w-text_w)/2+${scaleOffset(8, scale)}*sin(t*50):y=${lineY}:alpha='if(lt(mod(t*10\\,1)\\,0.1)\\,0.8\\,0)':enable='between(t,${startTime},${endTime})'`
     );
   });
 
@@ -635,11 +951,12 @@ function createGlitchFilter(subtitle, font, position, fontSize, wordsPerLine = 0
 }
 
 // Create 3D extrude effect (multiple layers creating depth)
-function create3DExtrudeFilter(subtitle, font, baseColor, position, fontSize, wordsPerLine = 0) {
+function create3DExtrudeFilter(subtitle, font, baseColor, position, fontSize, wordsPerLine = 0, layout = DEFAULT_DRAWTEXT_LAYOUT) {
+  const { scale, marginV } = layout;
   const { text, startTime, endTime } = subtitle;
   const fontSizeNum = parseInt(fontSize);
   const lineHeight = Math.round(fontSizeNum * 1.3);
-  const escapedFont = font.replace(/'/g, "\\'").replace(/:/g, "\\:");
+  const fontArg = drawtextFontArg(font);
 
   // Split text into lines if wordsPerLine is set
   let lines = [text];
@@ -655,14 +972,7 @@ function create3DExtrudeFilter(subtitle, font, baseColor, position, fontSize, wo
   const totalHeight = totalLines * lineHeight;
 
   // Calculate base Y position
-  let baseY;
-  if (position.includes('top')) {
-    baseY = 50;
-  } else if (position.includes('middle')) {
-    baseY = `(h-${totalHeight})/2`;
-  } else {
-    baseY = `h-${totalHeight}-50`;
-  }
+  const baseY = calculateBlockY(position, totalHeight, marginV);
 
   const filters = [];
   const extrudeDepth = 8; // Number of layers for 3D effect
@@ -681,18 +991,18 @@ function create3DExtrudeFilter(subtitle, font, baseColor, position, fontSize, wo
 
     // Create extrude layers (back to front)
     for (let i = extrudeDepth; i >= 1; i--) {
-      const offsetX = i * 2;
-      const offsetY = i * 2;
+      const offsetX = scaleOffset(i * 2, scale);
+      const offsetY = scaleOffset(i * 2, scale);
       const color = shadowColors[extrudeDepth - i];
 
       filters.push(
-        `drawtext=text='${escapedText}':font='${escapedFont}':fontsize=${fontSize}:fontcolor=${color}:x=(w-text_w)/2+${offsetX}:y=${lineY}+${offsetY}:enable='between(t,${startTime},${endTime})'`
+        `drawtext=text='${escapedText}':${fontArg}:fontsize=${fontSize}:fontcolor=${color}:x=(w-text_w)/2+${offsetX}:y=${lineY}+${offsetY}:enable='between(t,${startTime},${endTime})'`
       );
     }
 
     // Front face with the selected color
     filters.push(
-      `drawtext=text='${escapedText}':font='${escapedFont}':fontsize=${fontSize}:fontcolor=${baseColor}:x=(w-text_w)/2:y=${lineY}:borderw=1:bordercolor=0x000000:enable='between(t,${startTime},${endTime})'`
+      `drawtext=text='${escapedText}':${fontArg}:fontsize=${fontSize}:fontcolor=${baseColor}:x=(w-text_w)/2:y=${lineY}:borderw=${scaleStroke(1, scale)}:bordercolor=0x000000:enable='between(t,${startTime},${endTime})'`
     );
   });
 
@@ -700,11 +1010,12 @@ function create3DExtrudeFilter(subtitle, font, baseColor, position, fontSize, wo
 }
 
 // Create retro wave effect (80s neon synthwave style)
-function createRetroWaveFilter(subtitle, font, position, fontSize, wordsPerLine = 0) {
+function createRetroWaveFilter(subtitle, font, position, fontSize, wordsPerLine = 0, layout = DEFAULT_DRAWTEXT_LAYOUT) {
+  const { scale, marginV } = layout;
   const { text, startTime, endTime } = subtitle;
   const fontSizeNum = parseInt(fontSize);
   const lineHeight = Math.round(fontSizeNum * 1.3);
-  const escapedFont = font.replace(/'/g, "\\'").replace(/:/g, "\\:");
+  const fontArg = drawtextFontArg(font);
 
   // Split text into lines if wordsPerLine is set
   let lines = [text];
@@ -720,14 +1031,7 @@ function createRetroWaveFilter(subtitle, font, position, fontSize, wordsPerLine
   const totalHeight = totalLines * lineHeight;
 
   // Calculate base Y position
-  let baseY;
-  if (position.includes('top')) {
-    baseY = 50;
-  } else if (position.includes('middle')) {
-    baseY = `(h-${totalHeight})/2`;
-  } else {
-    baseY = `h-${totalHeight}-50`;
-  }
+  const baseY = calculateBlockY(position, totalHeight, marginV);
 
   const filters = [];
 
@@ -741,12 +1045,12 @@ function createRetroWaveFilter(subtitle, font, position, fontSize, wordsPerLine
 
     // Cyan glow layer (back)
     filters.push(
-      `drawtext=text='${escapedText}':font='${escapedFont}':fontsize=${fontSize}:fontcolor=0x00ffff@0.5:x=(w-text_w)/2+3:y=${lineY}+3:enable='between(t,${startTime},${endTime})'`
+      `drawtext=text='${escapedText}':${fontArg}:fontsize=${fontSize}:fontcolor=0x00ffff@0.5:x=(w-text_w)/2+${scaleOffset(3, scale)}:y=${lineY}+${scaleOffset(3, scale)}:enable='between(t,${startTime},${endTime})'`
     );
 
     // Magenta glow layer
     filters.push(
-      `drawtext=text='${escapedText}':font='${escapedFont}':fontsize=${fontSize}:fontcolor=0xff00ff@0.5:x=(w-text_w)/2-2:y=${lineY}-2:enable='between(t,${startTime},${endTime})'`
+      `drawtext=text='${escapedText}':${fontArg}:fontsize=${fontSize}:fontcolor=0xff00ff@0.5:x=(w-text_w)/2-${scaleOffset(2, scale)}:y=${lineY}-${scaleOffset(2, scale)}:enable='between(t,${startTime},${endTime})'`
     );
 
     // Pulsing neon effect - cycle through colors
@@ -756,13 +1060,13 @@ function createRetroWaveFilter(subtitle, font, position, fontSize, wordsPerLine
       const cycleDuration = neonColors.length * pulseSpeed;
 
       filters.push(
-        `drawtext=text='${escapedText}':font='${escapedFont}':fontsize=${fontSize}:fontcolor=${color}:x=(w-text_w)/2:y=${lineY}:borderw=2:bordercolor=0x000000:alpha='if(lt(mod(t-${startTime}+${offset}\\,${cycleDuration})\\,${pulseSpeed})\\,1\\,0)':enable='between(t,${startTime},${endTime})'`
+        `drawtext=text='${escapedText}':${fontArg}:fontsize=${fontSize}:fontcolor=${color}:x=(w-text_w)/2:y=${lineY}:borderw=${scaleStroke(2, scale)}:bordercolor=0x000000:alpha='if(lt(mod(t-${startTime}+${offset}\\,${cycleDuration})\\,${pulseSpeed})\\,1\\,0)':enable='between(t,${startTime},${endTime})'`
       );
     });
 
     // Chrome/metallic highlight on top
     filters.push(
-      `drawtext=text='${escapedText}':font='${escapedFont}':fontsize=${fontSize}:fontcolor=0xffffff@0.3:x=(w-text_w)/2:y=${lineY}-1:enable='between(t,${startTime},${endTime})'`
+      `drawtext=text='${escapedText}':${fontArg}:fontsize=${fontSize}:fontcolor=0xffffff@0.3:x=(w-text_w)/2:y=${lineY}-${scaleOffset(1, scale)}:enable='between(t,${startTime},${endTime})'`
     );
   });
 
@@ -770,19 +1074,13 @@ function createRetroWaveFilter(subtitle, font, position, fontSize, wordsPerLine
 }
 
 // Helper function to create animation filters with multi-line support
-function createAnimationFilter(subtitle, font, color, position, bgColor, animation, fontSize, index, wordsPerLine = 0) {
+function createAnimationFilter(subtitle, font, textColor, position, bgColor, animation, fontSize, index, wordsPerLine = 0, layout = DEFAULT_DRAWTEXT_LAYOUT) {
+  const { scale, marginV, outlineColor } = layout;
   const { text, startTime, endTime } = subtitle;
   const duration = endTime - startTime;
   const fontSizeNum = parseInt(fontSize);
   const lineHeight = Math.round(fontSizeNum * 1.3);
 
-  // Convert color from &HBBGGRR& format to RGB hex
-  const colorHex = color.replace('&H', '').replace('&', '');
-  const b = parseInt(colorHex.substr(0, 2), 16);
-  const g = parseInt(colorHex.substr(2, 2), 16);
-  const r = parseInt(colorHex.substr(4, 2), 16);
-  const textColor = `0x${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
-
   // Split text into lines if wordsPerLine is set
   let lines = [text];
   if (wordsPerLine > 0) {
@@ -796,33 +1094,12 @@ function createAnimationFilter(subtitle, font, color, position, bgColor, animati
   const totalLines = lines.length;
   const totalHeight = totalLines * lineHeight;
 
-  // Background color mapping for drawtext box
-  const bgColorMap = {
-    'none': '',
-    'black': ':box=1:boxcolor=black@0.5:boxborderw=8',
-    'solid-black': ':box=1:boxcolor=black@1:boxborderw=8',
-    'white': ':box=1:boxcolor=white@0.5:boxborderw=8',
-    'solid-white': ':box=1:boxcolor=white@1:boxborderw=8',
-    'gray': ':box=1:boxcolor=gray@0.5:boxborderw=8',
-    'dark-gray': ':box=1:boxcolor=0x404040@0.5:boxborderw=8',
-    'blue': ':box=1:boxcolor=blue@0.5:boxborderw=8',
-    'red': ':box=1:boxcolor=red@0.5:boxborderw=8',
-    'green': ':box=1:boxcolor=green@0.5:boxborderw=8',
-    'yellow': ':box=1:boxcolor=yellow@0.5:boxborderw=8',
-    'purple': ':box=1:boxcolor=purple@0.5:boxborderw=8'
-  };
-  const boxStyle = bgColorMap[bgColor] || '';
-  const escapedFont = font.replace(/'/g, "\\'").replace(/:/g, "\\:");
+  // Background box behind each line (bgColor is a drawtext color, or null for none)
+  const boxStyle = bgColor ? `:box=1:boxcolor=${bgColor}:boxborderw=${scaleStroke(8, scale)}` : '';
+  const fontArg = drawtextFontArg(font);
 
   // Calculate base Y position
-  let baseY;
-  if (position.includes('top')) {
-    baseY = 50;
-  } else if (position.includes('middle')) {
-    baseY = `(h-${totalHeight})/2`;
-  } else {
-    baseY = `h-${totalHeight}-50`;
-  }
+  const baseY = calculateBlockY(position, totalHeight, marginV);
 
   // Create filter for each line
   const filters = [];
@@ -833,24 +1110,25 @@ function createAnimationFilter(subtitle, font, color, position, bgColor, animati
 
     switch (animation) {
       case 'fade-in':
-        filters.push(`drawtext=text='${escapedText}':font='${escapedFont}':fontsize=${fontSize}:fontcolor=${textColor}:x=(w-text_w)/2:y=${lineY}:alpha='if(lt(t-${startTime},0.5),(t-${startTime})/0.5,1)':borderw=2:bordercolor=black${boxStyle}:enable='between(t,${startTime},${endTime})'`);
+        filters.push(`drawtext=text='${escapedText}':${fontArg}:fontsize=${fontSize}:fontcolor=${textColor}:x=(w-text_w)/2:y=${lineY}:alpha='if(lt(t-${startTime},0.5),(t-${startTime})/0.5,1)':borderw=${scaleStroke(2, scale)}:bordercolor=${outlineColor}${boxStyle}:enable='between(t,${startTime},${endTime})'`);
         break;
 
       case 'slide-up':
-        filters.push(`drawtext=text='${escapedText}':font='${escapedFont}':fontsize=${fontSize}:fontcolor=${textColor}:x=(w-text_w)/2:y='(h-50)+((${lineY})-(h-50))*min(1\\,(t-${startTime})/0.8)':borderw=2:bordercolor=black${boxStyle}:enable='between(t,${startTime},${endTime})'`);
+        const slideFrom = scaleOffset(50, scale);
+        filters.push(`drawtext=text='${escapedText}':${fontArg}:fontsize=${fontSize}:fontcolor=${textColor}:x=(w-text_w)/2:y='(h-${slideFrom})+((${lineY})-(h-${slideFrom}))*min(1\\,(t-${startTime})/0.8)':borderw=${scaleStroke(2, scale)}:bordercolor=${outlineColor}${boxStyle}:enable='between(t,${startTime},${endTime})'`);
         break;
 
       case 'slide-left':
-        filters.push(`drawtext=text='${escapedText}':font='${escapedFont}':fontsize=${fontSize}:fontcolor=${textColor}:x='(w)+((w-text_w)/2-(w))*min(1\\,(t-${startTime})/0.8)':y=${lineY}:borderw=2:bordercolor=black${boxStyle}:enable='between(t,${startTime},${endTime})'`);
+        filters.push(`drawtext=text='${escapedText}':${fontArg}:fontsize=${fontSize}:fontcolor=${textColor}:x='(w)+((w-text_w)/2-(w))*min(1\\,(t-${startTime})/0.8)':y=${lineY}:borderw=${scaleStroke(2, scale)}:bordercolor=${outlineColor}${boxStyle}:enable='between(t,${startTime},${endTime})'`);
         break;
 
       case 'bounce':
-        filters.push(`drawtext=text='${escapedText}':font='${escapedFont}':fontsize=${fontSize}:fontcolor=${textColor}:x=(w-text_w)/2:y='(${lineY})-if(lt(t-${startTime}\\,0.5)\\,30*sin(6*(t-${startTime}))\\,0)':borderw=2:bordercolor=black${boxStyle}:enable='between(t,${startTime},${endTime})'`);
+        filters.push(`drawtext=text='${escapedText}':${fontArg}:fontsize=${fontSize}:fontcolor=${textColor}:x=(w-text_w)/2:y='(${lineY})-if(lt(t-${startTime}\\,0.5)\\,${scaleOffset(30, scale)}*sin(6*(t-${startTime}))\\,0)':borderw=${scaleStroke(2, scale)}:bordercolor=${outlineColor}${boxStyle}:enable='between(t,${startTime},${endTime})'`);
         break;
 
       case 'typewriter':
         const typeDuration = Math.min(duration * 0.8, Math.max(0.5, line.length * 0.08));
-        filters.push(`drawtext=text='${escapedText}':font='${escapedFont}':fontsize=${fontSize}:fontcolor=${textColor}:x=(w-text_w)/2:y=${lineY}:alpha='min(1\\,(t-${startTime})/${typeDuration})':borderw=2:bordercolor=black${boxStyle}:enable='between(t,${startTime},${endTime})'`);
+        filters.push(`drawtext=text='${escapedText}':${fontArg}:fontsize=${fontSize}:fontcolor=${textColor}:x=(w-text_w)/2:y=${lineY}:alpha='min(1\\,(t-${startTime})/${typeDuration})':borderw=${scaleStroke(2, scale)}:bordercolor=${outlineColor}${boxStyle}:enable='between(t,${startTime},${endTime})'`);
         break;
     }
   });
@@ -858,533 +1136,2659 @@ function createAnimationFilter(subtitle, font, color, position, bgColor, animati
   return filters.length > 0 ? filters.join(',') : null;
 }
 
-app.post('/api/add-subtitles', upload.single('video'), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ success: false, error: 'No video file uploaded' });
-    }
-    
-    const { subtitles, style, font, fontSize, color, position, bgColor, animation, effectColor, wordsPerLine, outlineColor, outlineThickness, shadowColor, shadowDepth } = req.body;
-    if (!subtitles) {
-      return res.status(400).json({ success: false, error: 'No subtitles provided' });
-    }
+// Style colors accept #RRGGBB / #RRGGBBAA, any CSS color (rgb(), hsl(), names), the legacy ASS
+// forms &HBBGGRR& / &HAABBGGRR, or one of the preset names below. They are parsed once into
+// { r, g, b, alpha } (alpha is opacity, 0-1) and written out in ASS or drawtext notation as needed
+const COLOR_PRESETS = {
+  text: {
+    white: '#ffffff',
+    yellow: '#ffff00',
+    cyan: '#00ffff',
+    red: '#ff0000',
+    green: '#00ff00',
+    blue: '#0000ff',
+    purple: '#ff00ff',
+    orange: '#ff8000',
+    pink: '#ff80ff',
+    gold: '#ffd700',
+    silver: '#c0c0c0',
+    rainbow: '#ff00ff' // Use magenta for rainbow (closest single color)
+  },
+  outline: {
+    black: '#000000',
+    white: '#ffffff',
+    red: '#ff0000',
+    blue: '#0000ff',
+    green: '#00ff00',
+    yellow: '#ffff00',
+    purple: '#aa44ff'
+  },
+  // Shadows and backgrounds are half-transparent unless the name says solid
+  shadow: {
+    black: 'rgba(0, 0, 0, 0.5)',
+    white: 'rgba(255, 255, 255, 0.5)',
+    red: 'rgba(255, 0, 0, 0.5)',
+    blue: 'rgba(0, 0, 255, 0.5)'
+  },
+  background: {
+    black: 'rgba(0, 0, 0, 0.5)',
+    'solid-black': '#000000',
+    white: 'rgba(255, 255, 255, 0.5)',
+    'solid-white': '#ffffff',
+    gray: 'rgba(128, 128, 128, 0.5)',
+    'dark-gray': 'rgba(64, 64, 64, 0.5)',
+    blue: 'rgba(0, 0, 255, 0.5)',
+    red: 'rgba(255, 0, 0, 0.5)',
+    green: 'rgba(0, 255, 0, 0.5)',
+    yellow: 'rgba(255, 255, 0, 0.5)',
+    purple: 'rgba(255, 0, 255, 0.5)'
+  }
+};
+
+// Helper function to parse a color value (throws on anything that isn't a color)
+function parseColor(value, presets = {}) {
+  const input = String(value).trim();
+  const preset = presets[input.toLowerCase()];
+  if (preset) return parseColor(preset);
+
+  // ASS stores bytes as (alpha)BGR, and its alpha is transparency rather than opacity
+  const ass = input.match(/^&H([0-9a-f]{8}|[0-9a-f]{6})&?$/i);
+  if (ass) {
+    const hex = ass[1].padStart(8, '0');
+    const byte = (i) => parseInt(hex.substr(i, 2), 16);
+    return { r: byte(6), g: byte(4), b: byte(2), alpha: 1 - byte(0) / 255 };
+  }
 
-    const videoPath = req.file.path;
-    const outputPath = path.join('outputs', `output-${Date.now()}.mp4`);
-    
-    let subtitleData;
-    try {
-      subtitleData = JSON.parse(subtitles);
-    } catch (e) {
-      return res.status(400).json({ success: false, error: 'Invalid subtitle format' });
-    }
+  const rgba = colorString.get.rgb(input);
+  if (rgba) return { r: rgba[0], g: rgba[1], b: rgba[2], alpha: rgba[3] };
 
-    // Generate subtitle file path (use absolute path for FFmpeg compatibility)
-    const subtitlePath = path.resolve('uploads', `subtitles-${Date.now()}.ass`);
+  const hsla = colorString.get.hsl(input);
+  if (hsla) {
+    const [h, sat, light] = [hsla[0], hsla[1] / 100, hsla[2] / 100];
+    const k = (n) => (n + h / 30) % 12;
+    const a = sat * Math.min(light, 1 - light);
+    const channel = (n) => Math.round(255 * (light - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1))));
+    return { r: channel(0), g: channel(8), b: channel(4), alpha: hsla[3] };
+  }
 
-    // Get selected options or defaults
-    const selectedFont = font || 'Arial';
-    const selectedFontSize = parseInt(fontSize) || 24;
-    const selectedColor = color || 'white';
-    const selectedPosition = position || 'bottom-center';
-    const selectedBgColor = bgColor || 'none';
-    const selectedAnimation = animation || 'none';
-    const selectedWordsPerLine = parseInt(wordsPerLine) || 0;
-    const selectedOutlineColor = outlineColor || 'black';
-    const selectedOutlineThickness = parseInt(outlineThickness) || 2;
-    const selectedShadowColor = shadowColor || 'black';
-    const selectedShadowDepth = parseInt(shadowDepth) || 1;
+  throw new Error(`"${input}" is not a color`);
+}
 
-    // Apply words per line splitting to subtitle text (ONLY for ASS subtitles - animation 'none')
-    // Drawtext animations don't support multi-line text properly
-    if (selectedWordsPerLine > 0 && selectedAnimation === 'none') {
-      subtitleData = subtitleData.map(sub => ({
-        ...sub,
-        text: splitTextByWordsPerLineASS(sub.text, selectedWordsPerLine)
-      }));
-    }
-
-    console.log('Processing video with:', { style, font: selectedFont, fontSize: selectedFontSize, color: selectedColor, position: selectedPosition, bgColor: selectedBgColor, animation: selectedAnimation, wordsPerLine: selectedWordsPerLine });
-
-    // Define color mappings (FFmpeg uses BGR format: &HBBGGRR&)
-    const colors = {
-      white: '&HFFFFFF&',
-      yellow: '&H00FFFF&',  // Fixed: Yellow in BGR
-      cyan: '&HFFFF00&',    // Fixed: Cyan in BGR  
-      red: '&H0000FF&',     // Red in BGR
-      green: '&H00FF00&',   // Green in BGR
-      blue: '&HFF0000&',    // Blue in BGR
-      purple: '&HFF00FF&',  // Fixed: Purple in BGR
-      orange: '&H0080FF&',  // Fixed: Orange in BGR
-      pink: '&HFF80FF&',    // Fixed: Pink in BGR
-      gold: '&H00D7FF&',    // Gold in BGR
-      silver: '&HC0C0C0&',  // Silver in BGR
-      rainbow: '&HFF00FF&'  // Use magenta for rainbow (closest single color)
-    };
+// Helper function to write a color as ASS &HAABBGGRR (style lines)
+function toASSColor(color) {
+  const hex = (n) => Math.round(n).toString(16).padStart(2, '0').toUpperCase();
+  return `&H${hex((1 - color.alpha) * 255)}${hex(color.b)}${hex(color.g)}${hex(color.r)}`;
+}
 
-    const textColor = colors[selectedColor] || colors.white;
-
-    // Define position mappings (FFmpeg ASS Alignment system - FIXED)
-    // ASS alignment: 1=bottom-left, 2=bottom-center, 3=bottom-right
-    //                4=middle-left, 5=middle-center, 6=middle-right
-    //                7=top-left, 8=top-center, 9=top-right
-    const positions = {
-      'bottom-left': { Alignment: 1, MarginV: 30, MarginL: 30, MarginR: 0 },
-      'bottom-center': { Alignment: 2, MarginV: 30, MarginL: 0, MarginR: 0 },
-      'bottom-right': { Alignment: 3, MarginV: 30, MarginL: 0, MarginR: 30 },
-      'middle-left': { Alignment: 4, MarginV: 0, MarginL: 30, MarginR: 0 },
-      'middle-center': { Alignment: 5, MarginV: 0, MarginL: 0, MarginR: 0 },
-      'middle-right': { Alignment: 6, MarginV: 0, MarginL: 0, MarginR: 30 },
-      'top-left': { Alignment: 7, MarginV: 30, MarginL: 30, MarginR: 0 },
-      'top-center': { Alignment: 8, MarginV: 30, MarginL: 0, MarginR: 0 },
-      'top-right': { Alignment: 9, MarginV: 30, MarginL: 0, MarginR: 30 }
-    };
+// Helper function to write a color as drawtext 0xRRGGBB[@alpha], optionally faded further
+function toDrawtextColor(color, opacity = 1) {
+  const hex = (n) => Math.round(n).toString(16).padStart(2, '0');
+  const alpha = Math.round(color.alpha * opacity * 1000) / 1000;
+  return `0x${hex(color.r)}${hex(color.g)}${hex(color.b)}${alpha < 1 ? `@${alpha}` : ''}`;
+}
 
-    const positionSettings = positions[selectedPosition] || positions['bottom-center'];
-
-    // Define background color mappings (FFmpeg uses BGR format with alpha for BackColour)
-    const bgColors = {
-      none: '',
-      black: ',BackColour=&H80000000&',        // Semi-transparent black (default-like)
-      'solid-black': ',BackColour=&H000000&',  // Solid black
-      white: ',BackColour=&H80FFFFFF&',        // Semi-transparent white
-      'solid-white': ',BackColour=&HFFFFFF&',  // Solid white
-      gray: ',BackColour=&H80808080&',         // Semi-transparent gray
-      'dark-gray': ',BackColour=&H80404040&',  // Semi-transparent dark gray
-      blue: ',BackColour=&H80FF0000&',         // Semi-transparent blue (BGR)
-      red: ',BackColour=&H800000FF&',          // Semi-transparent red (BGR)
-      green: ',BackColour=&H8000FF00&',        // Semi-transparent green (BGR)
-      yellow: ',BackColour=&H8000FFFF&',       // Semi-transparent yellow (BGR)
-      purple: ',BackColour=&H80FF00FF&'        // Semi-transparent purple (BGR)
-    };
+// Helper function to parse the style colors of a request - 'none' turns an outline, shadow or background off
+function resolveStyleColors({ color, effectColor, outlineColor, shadowColor, bgColor }) {
+  const parse = (field, value, presets, optional) => {
+    if (optional && value === 'none') return null;
+    try {
+      return parseColor(value, presets);
+    } catch (e) {
+      throw new Error(`Invalid ${field}: ${e.message}`);
+    }
+  };
+  return {
+    text: parse('color', color, COLOR_PRESETS.text),
+    effect: parse('effectColor', effectColor, COLOR_PRESETS.text),
+    outline: parse('outlineColor', outlineColor, COLOR_PRESETS.outline, true),
+    shadow: parse('shadowColor', shadowColor, COLOR_PRESETS.shadow, true),
+    background: parse('bgColor', bgColor, COLOR_PRESETS.background, true)
+  };
+}
 
-    const bgColorStyle = bgColors[selectedBgColor] || '';
+// Define position mappings (FFmpeg ASS Alignment system - FIXED)
+// ASS alignment: 1=bottom-left, 2=bottom-center, 3=bottom-right
+//                4=middle-left, 5=middle-center, 6=middle-right
+//                7=top-left, 8=top-center, 9=top-right
+const ASS_POSITIONS = {
+  'bottom-left': { Alignment: 1, MarginV: 30, MarginL: 30, MarginR: 0 },
+  'bottom-center': { Alignment: 2, MarginV: 30, MarginL: 0, MarginR: 0 },
+  'bottom-right': { Alignment: 3, MarginV: 30, MarginL: 0, MarginR: 30 },
+  'middle-left': { Alignment: 4, MarginV: 0, MarginL: 30, MarginR: 0 },
+  'middle-center': { Alignment: 5, MarginV: 0, MarginL: 0, MarginR: 0 },
+  'middle-right': { Alignment: 6, MarginV: 0, MarginL: 0, MarginR: 30 },
+  'top-left': { Alignment: 7, MarginV: 30, MarginL: 30, MarginR: 0 },
+  'top-center': { Alignment: 8, MarginV: 30, MarginL: 0, MarginR: 0 },
+  'top-right': { Alignment: 9, MarginV: 30, MarginL: 0, MarginR: 30 }
+};
+
+// Reframing for vertical/square social formats - the source is fitted onto a fixed canvas
+// before subtitles are drawn, and captions keep clear of the app UI around the edges
+const REFRAME_CANVASES = {
+  '9:16': { width: 1080, height: 1920, safeVertical: 0.14 },
+  '1:1': { width: 1080, height: 1080, safeVertical: 0.08 },
+  '4:5': { width: 1080, height: 1350, safeVertical: 0.1 }
+};
+const REFRAME_MODES = ['crop', 'blur', 'letterbox'];
+const REFRAME_SAFE_HORIZONTAL = 0.06;
+
+// Helper function to read `aspectRatio` and `reframe` (crop | blur | letterbox) from a request
+// Returns null when the source frame is kept as-is
+function resolveReframe(body) {
+  const canvas = REFRAME_CANVASES[body.aspectRatio];
+  if (!canvas) return null;
+
+  const mode = REFRAME_MODES.includes(body.reframe) ? body.reframe : 'crop';
+  const { width, height } = canvas;
+  let filter;
+  if (mode === 'crop') {
+    // Fill the canvas and cut the sides (center crop)
+    filter = `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},setsar=1`;
+  } else if (mode === 'letterbox') {
+    filter = `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black,setsar=1`;
+  } else {
+    // Blurred, zoomed copy of the frame behind the fitted original
+    filter = `split[bg][fg];[bg]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},boxblur=20:2[blurred];` +
+      `[fg]scale=${width}:${height}:force_original_aspect_ratio=decrease[fitted];[blurred][fitted]overlay=(W-w)/2:(H-h)/2,setsar=1`;
+  }
 
-    // Define subtitle styles with dynamic font, font size, color, position, and background
-    const styles = {
-      classic: `FontName=${selectedFont},FontSize=${selectedFontSize},PrimaryColour=${textColor},OutlineColour=&H000000&,BorderStyle=${selectedBgColor !== 'none' ? '4' : '3'},Outline=${selectedBgColor !== 'none' ? '0' : '2'},Shadow=${selectedBgColor !== 'none' ? '0' : '1'},Alignment=${positionSettings.Alignment},MarginV=${positionSettings.MarginV},MarginL=${positionSettings.MarginL},MarginR=${positionSettings.MarginR}${bgColorStyle}`,
+  return {
+    aspectRatio: body.aspectRatio,
+    mode,
+    width,
+    height,
+    filter,
+    safeMarginV: Math.round(height * canvas.safeVertical),
+    safeMarginH: Math.round(width * REFRAME_SAFE_HORIZONTAL)
+  };
+}
 
-      modern: `FontName=${selectedFont},FontSize=${selectedFontSize},Weight=700,PrimaryColour=${textColor},OutlineColour=&H000000&,BorderStyle=${selectedBgColor !== 'none' ? '4' : '3'},Outline=${selectedBgColor !== 'none' ? '0' : '3'},Shadow=0,Alignment=${positionSettings.Alignment},MarginV=${positionSettings.MarginV},MarginL=${positionSettings.MarginL},MarginR=${positionSettings.MarginR}${bgColorStyle}`,
+// Helper function to read style settings from a request body (form fields or JSON) with defaults
+function resolveSubtitleOptions(body) {
+  const { style, font, fontSize, color, position, bgColor, animation, effectColor, wordsPerLine, outlineColor, outlineThickness, shadowColor, shadowDepth, italic, bold } = body;
+
+  const options = {
+    style: style || 'classic',
+    font: font || DEFAULT_FONT,
+    fontSize: parseInt(fontSize) || 24,
+    color: color || 'white',
+    position: position || 'bottom-center',
+    bgColor: bgColor || 'none',
+    animation: animation || 'none',
+    effectColor: effectColor || 'gold',
+    wordsPerLine: parseInt(wordsPerLine) || 0,
+    outlineColor: outlineColor || 'black',
+    outlineThickness: parseInt(outlineThickness) || 2,
+    shadowColor: shadowColor || 'black',
+    shadowDepth: parseInt(shadowDepth) || 1,
+    // Italic/bold faces only apply to the static ASS style - drawtext draws the font as given
+    italic: italic === true || italic === 'true',
+    bold: bold === true || bold === 'true'
+  };
 
-      minimal: `FontName=${selectedFont},FontSize=${selectedFontSize},PrimaryColour=${textColor},OutlineColour=&H000000&,BorderStyle=${selectedBgColor !== 'none' ? '4' : '1'},Outline=${selectedBgColor !== 'none' ? '0' : '1'},Shadow=${selectedBgColor !== 'none' ? '0' : '2'},Alignment=${positionSettings.Alignment},MarginV=${positionSettings.MarginV},MarginL=${positionSettings.MarginL},MarginR=${positionSettings.MarginR}${bgColorStyle}`,
+  options.colors = resolveStyleColors(options);
+  options.textColor = toASSColor(options.colors.text);
+  options.positionSettings = ASS_POSITIONS[options.position] || ASS_POSITIONS['bottom-center'];
+
+  // Canvas the subtitles are laid out on - the reframed social canvas, or 1080p-relative for the source
+  options.reframe = resolveReframe(body);
+  options.playRes = options.reframe ? { width: options.reframe.width, height: options.reframe.height } : { width: 1920, height: 1080 };
+  options.marginV = 50;
+  if (options.reframe) {
+    const { safeMarginV, safeMarginH } = options.reframe;
+    const { Alignment, MarginV } = options.positionSettings;
+    // Narrow canvases wrap inside side margins whatever the alignment
+    options.positionSettings = { Alignment, MarginV: MarginV ? safeMarginV : 0, MarginL: safeMarginH, MarginR: safeMarginH };
+    options.marginV = safeMarginV;
+  }
+  return options;
+}
 
-      bold: `FontName=${selectedFont},FontSize=${selectedFontSize},Weight=900,PrimaryColour=${textColor},OutlineColour=&H000000&,BorderStyle=${selectedBgColor !== 'none' ? '4' : '3'},Outline=${selectedBgColor !== 'none' ? '0' : '4'},Shadow=0,Alignment=${positionSettings.Alignment},MarginV=${positionSettings.MarginV},MarginL=${positionSettings.MarginL},MarginR=${positionSettings.MarginR}${bgColorStyle}`,
+// Helper to format time for ASS format (H:MM:SS.CC)
+function formatASSTime(seconds) {
+  // Work in whole centiseconds so 1.2s doesn't become 0:00:01.19
+  // Cues shifted into a preview window may start before 0 - show them from the first frame
+  const totalCs = Math.max(0, Math.round(seconds * 100));
+  const hours = Math.floor(totalCs / 360000);
+  const minutes = Math.floor((totalCs % 360000) / 6000);
+  const secs = Math.floor((totalCs % 6000) / 100);
+  const centisecs = totalCs % 100;
+  return `${hours}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(centisecs).padStart(2, '0')}`;
+}
 
-      neon: `FontName=${selectedFont},FontSize=${selectedFontSize},Weight=700,PrimaryColour=${textColor},OutlineColour=&H000000&,BorderStyle=${selectedBgColor !== 'none' ? '4' : '3'},Outline=${selectedBgColor !== 'none' ? '0' : '2'},Shadow=${selectedBgColor !== 'none' ? '0' : '3'},Alignment=${positionSettings.Alignment},MarginV=${positionSettings.MarginV},MarginL=${positionSettings.MarginL},MarginR=${positionSettings.MarginR}${bgColorStyle}`,
+// Helper function to write one ASS Style: line from resolved style options
+function buildASSStyleLine(name, options) {
+  const { style, font, fontSize, textColor, positionSettings, colors, outlineThickness, shadowDepth } = options;
 
-      boxed: `FontName=${selectedFont},FontSize=${selectedFontSize},PrimaryColour=${textColor},BorderStyle=4,Outline=0,Shadow=0,Alignment=${positionSettings.Alignment},MarginV=${positionSettings.MarginV},MarginL=${positionSettings.MarginL + 10},MarginR=${positionSettings.MarginR + 10}${bgColorStyle || ',BackColour=&H80000000&'}`
-    };
+  // Get style parameters - use fontSize from user input
+  const fontWeight = { modern: 700, bold: 900, neon: 700 }[style] || 400;
+  const bold = options.bold || fontWeight >= 700;
 
-    const selectedStyle = styles[style] || styles.classic;
-
-    console.log('Final FFmpeg style:', selectedStyle);
-    console.log('Selected animation:', selectedAnimation);
-
-    // Generate ASS subtitle file with embedded styling (more reliable than force_style)
-    const generateASSContent = () => {
-      // Get style parameters - use selectedFontSize from user input
-      const fontWeight = { modern: 700, bold: 900, neon: 700 }[style] || 400;
-
-      // Use user-selected outline thickness (or style default if bg is set)
-      const outlineSize = selectedBgColor !== 'none' ? 0 : selectedOutlineThickness;
-      const shadowSize = selectedBgColor !== 'none' ? 0 : selectedShadowDepth;
-      const borderStyle = selectedBgColor !== 'none' ? 4 : ({ minimal: 1, boxed: 4 }[style] || 3);
-
-      // Outline color mapping (ASS uses BGR format: &HBBGGRR&)
-      const outlineColors = {
-        'none': '&H00000000',
-        'black': '&H00000000',
-        'white': '&H00FFFFFF',
-        'red': '&H000000FF',
-        'blue': '&H00FF0000',
-        'green': '&H0000FF00',
-        'yellow': '&H0000FFFF',
-        'purple': '&H00FF44AA'
-      };
-      const outlineColorValue = outlineColors[selectedOutlineColor] || '&H00000000';
-
-      // Shadow color (ASS BackColour is used for shadow when BorderStyle=3)
-      const shadowColors = {
-        'none': '&H00000000',
-        'black': '&H80000000',
-        'white': '&H80FFFFFF',
-        'red': '&H800000FF',
-        'blue': '&H80FF0000'
-      };
+  // Use user-selected outline thickness (or none if bg is set)
+  const outlineSize = colors.background || !colors.outline ? 0 : outlineThickness;
+  const shadowSize = colors.background || !colors.shadow ? 0 : shadowDepth;
+  const borderStyle = colors.background ? 4 : ({ minimal: 1, boxed: 4 }[style] || 3);
 
-      // Get background color for ASS (AABBGGRR format)
-      const assBackColors = {
-        'none': '&H00000000',
-        'black': '&H80000000',
-        'solid-black': '&HFF000000',
-        'white': '&H80FFFFFF',
-        'solid-white': '&HFFFFFFFF',
-        'gray': '&H80808080',
-        'dark-gray': '&H80404040',
-        'blue': '&H80FF0000',
-        'red': '&H800000FF',
-        'green': '&H8000FF00',
-        'yellow': '&H8000FFFF',
-        'purple': '&H80FF00FF'
-      };
+  const outlineColorValue = colors.outline ? toASSColor(colors.outline) : '&H00000000';
 
-      // BackColour is used for background (BorderStyle=4) or shadow (BorderStyle=3)
-      let backColor;
-      if (selectedBgColor !== 'none') {
-        backColor = assBackColors[selectedBgColor] || '&H00000000';
-      } else {
-        backColor = shadowColors[selectedShadowColor] || '&H80000000';
-      }
+  // BackColour is used for background (BorderStyle=4) or shadow (BorderStyle=3)
+  const backColor = toASSColor(colors.background || colors.shadow || { r: 0, g: 0, b: 0, alpha: 0 });
+
+  return `Style: ${name},${font},${fontSize},${textColor},&H000000FF,${outlineColorValue},${backColor},${bold ? -1 : 0},${options.italic ? -1 : 0},0,0,100,100,0,0,${borderStyle},${outlineSize},${shadowSize},${positionSettings.Alignment},${positionSettings.MarginL},${positionSettings.MarginR},${positionSettings.MarginV},1`;
+}
 
-      let assContent = `[Script Info]
+// Generate ASS subtitle file with embedded styling (more reliable than force_style)
+// Cues with their own style overrides get an extra Style: line each (shared when the overrides match)
+function generateASSContent(subtitleData, options) {
+  const styleLines = [buildASSStyleLine('Default', options)];
+  const cueStyles = new Map(); // JSON of the overrides -> style name
+  const styleNames = subtitleData.map(sub => {
+    if (!sub.options) return 'Default';
+    const key = JSON.stringify(sub.overrides);
+    if (!cueStyles.has(key)) {
+      const name = `Cue${cueStyles.size + 1}`;
+      cueStyles.set(key, name);
+      styleLines.push(buildASSStyleLine(name, sub.options));
+    }
+    return cueStyles.get(key);
+  });
+
+  let assContent = `[Script Info]
 Title: Generated Subtitles
 ScriptType: v4.00+
-PlayResX: 1920
-PlayResY: 1080
+PlayResX: ${options.playRes.width}
+PlayResY: ${options.playRes.height}
 ScaledBorderAndShadow: yes
 
 [V4+ Styles]
 Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
-Style: Default,${selectedFont},${selectedFontSize},${textColor},&H000000FF,${outlineColorValue},${backColor},${fontWeight >= 700 ? -1 : 0},0,0,0,100,100,0,0,${borderStyle},${outlineSize},${shadowSize},${positionSettings.Alignment},${positionSettings.MarginL},${positionSettings.MarginR},${positionSettings.MarginV},1
+${styleLines.join('\n')}
 
 [Events]
 Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
 `;
 
-      subtitleData.forEach((sub) => {
-        const startTime = formatASSTime(sub.startTime);
-        const endTime = formatASSTime(sub.endTime);
-        assContent += `Dialogue: 0,${startTime},${endTime},Default,,0,0,0,,${sub.text}\n`;
-      });
+  subtitleData.forEach((sub, index) => {
+    const startTime = formatASSTime(sub.startTime);
+    const endTime = formatASSTime(sub.endTime);
+    // Imported ASS/SRT cues keep their inline override tags in assText
+    assContent += `Dialogue: 0,${startTime},${endTime},${styleNames[index]},,0,0,0,,${sub.assText || sub.text}\n`;
+  });
 
-      return assContent;
-    };
+  return assContent;
+}
 
-    // Helper to format time for ASS format (H:MM:SS.CC)
-    const formatASSTime = (seconds) => {
-      const hours = Math.floor(seconds / 3600);
-      const minutes = Math.floor((seconds % 3600) / 60);
-      const secs = Math.floor(seconds % 60);
-      const centisecs = Math.floor((seconds % 1) * 100);
-      return `${hours}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(centisecs).padStart(2, '0')}`;
-    };
+// ISO 639-1 -> ISO 639-2 codes (MP4/MKV language tags want the 3-letter form)
+const LANGUAGE_CODES = {
+  en: 'eng', es: 'spa', hi: 'hin', fr: 'fra', de: 'deu', it: 'ita', pt: 'por', ru: 'rus',
+  ja: 'jpn', ko: 'kor', zh: 'zho', ar: 'ara', bn: 'ben', ta: 'tam', te: 'tel', nl: 'nld'
+};
 
-    // Create animated subtitle filters based on selected animation
-    const videoFilters = [];
-
-    // Convert effectColor for word effects (default to yellow if not provided)
-    const selectedEffectColor = effectColor || '&H00D7FF&'; // Default gold/yellow
-    const effectColorHex = convertBGRtoHex(selectedEffectColor);
-
-    if (selectedAnimation === 'none') {
-      // Generate and write ASS file with embedded styling
-      const assContent = generateASSContent();
-      fs.writeFileSync(subtitlePath, assContent);
-      console.log('Generated ASS file at:', subtitlePath);
-
-      // Use ass filter (simpler and more reliable than subtitles with force_style)
-      const escapedPath = escapeFFmpegPath(subtitlePath);
-      videoFilters.push(`ass=${escapedPath}`);
-    } else if (selectedAnimation === 'word-highlight') {
-      // Word-by-word highlight effect (karaoke style with background box)
-      console.log('Creating word-highlight filters for', subtitleData.length, 'subtitles');
-      const baseColorHex = convertBGRtoHex(textColor);
-      subtitleData.forEach((sub, index) => {
-        const highlightFilter = createWordHighlightFilter(sub, selectedFont, baseColorHex, effectColorHex, selectedPosition, selectedBgColor, selectedFontSize, selectedWordsPerLine);
-        console.log(`Word highlight filter ${index}:`, highlightFilter);
-        if (highlightFilter) {
-          videoFilters.push(highlightFilter);
-        }
-      });
-    } else if (selectedAnimation === 'word-fill') {
-      // Word-by-word fill effect (progressive color change that stays)
-      console.log('Creating word-fill filters for', subtitleData.length, 'subtitles');
-      const baseColorHex = convertBGRtoHex(textColor);
-      subtitleData.forEach((sub, index) => {
-        const fillFilter = createWordFillFilter(sub, selectedFont, baseColorHex, effectColorHex, selectedPosition, selectedBgColor, selectedFontSize, selectedWordsPerLine);
-        console.log(`Word fill filter ${index}:`, fillFilter);
-        if (fillFilter) {
-          videoFilters.push(fillFilter);
-        }
-      });
-    } else if (selectedAnimation === 'word-color') {
-      // Word-by-word color change (current spoken word changes color)
-      console.log('Creating word-color filters for', subtitleData.length, 'subtitles');
-      const baseColorHex = convertBGRtoHex(textColor);
-      subtitleData.forEach((sub, index) => {
-        const colorFilter = createWordColorFilter(sub, selectedFont, baseColorHex, effectColorHex, selectedPosition, selectedBgColor, selectedFontSize, selectedWordsPerLine);
-        console.log(`Word color filter ${index}:`, colorFilter);
-        if (colorFilter) {
-          videoFilters.push(colorFilter);
-        }
-      });
-    } else if (selectedAnimation === 'word-reveal') {
-      // Word-by-word reveal (words appear one by one as spoken)
-      console.log('Creating word-reveal filters for', subtitleData.length, 'subtitles');
-      const baseColorHex = convertBGRtoHex(textColor);
-      subtitleData.forEach((sub, index) => {
-        const revealFilter = createWordRevealFilter(sub, selectedFont, baseColorHex, selectedPosition, selectedBgColor, selectedFontSize, selectedWordsPerLine);
-        console.log(`Word reveal filter ${index}:`, revealFilter);
-        if (revealFilter) {
-          videoFilters.push(revealFilter);
-        }
-      });
-    } else if (selectedAnimation === 'stroke') {
-      // Stroke animation (outline first, then fills with color)
-      console.log('Creating stroke filters for', subtitleData.length, 'subtitles');
-      const baseColorHex = convertBGRtoHex(textColor);
-      subtitleData.forEach((sub, index) => {
-        const strokeFilter = createStrokeFilter(sub, selectedFont, baseColorHex, effectColorHex, selectedPosition, selectedBgColor, selectedFontSize, selectedWordsPerLine);
-        console.log(`Stroke filter ${index}:`, strokeFilter);
-        if (strokeFilter) {
-          videoFilters.push(strokeFilter);
-        }
-      });
-    } else if (selectedAnimation === 'fire-text') {
-      // Fire text effect (flickering fire colors)
-      console.log('Creating fire-text filters for', subtitleData.length, 'subtitles');
-      subtitleData.forEach((sub, index) => {
-        const fireFilter = createFireTextFilter(sub, selectedFont, selectedPosition, selectedFontSize, selectedWordsPerLine);
-        console.log(`Fire text filter ${index}:`, fireFilter);
-        if (fireFilter) {
-          videoFilters.push(fireFilter);
-        }
-      });
-    } else if (selectedAnimation === 'ice-text') {
-      // Ice text effect (shimmering ice colors)
-      console.log('Creating ice-text filters for', subtitleData.length, 'subtitles');
-      subtitleData.forEach((sub, index) => {
-        const iceFilter = createIceTextFilter(sub, selectedFont, selectedPosition, selectedFontSize, selectedWordsPerLine);
-        console.log(`Ice text filter ${index}:`, iceFilter);
-        if (iceFilter) {
-          videoFilters.push(iceFilter);
-        }
-      });
-    } else if (selectedAnimation === 'glitch') {
-      // Glitch effect (RGB splitting and jitter)
-      console.log('Creating glitch filters for', subtitleData.length, 'subtitles');
-      subtitleData.forEach((sub, index) => {
-        const glitchFilter = createGlitchFilter(sub, selectedFont, selectedPosition, selectedFontSize, selectedWordsPerLine);
-        console.log(`Glitch filter ${index}:`, glitchFilter);
-        if (glitchFilter) {
-          videoFilters.push(glitchFilter);
-        }
-      });
-    } else if (selectedAnimation === '3d-extrude') {
-      // 3D Extrude effect (depth layers)
-      console.log('Creating 3d-extrude filters for', subtitleData.length, 'subtitles');
-      const baseColorHex = convertBGRtoHex(textColor);
-      subtitleData.forEach((sub, index) => {
-        const extrudeFilter = create3DExtrudeFilter(sub, selectedFont, baseColorHex, selectedPosition, selectedFontSize, selectedWordsPerLine);
-        console.log(`3D Extrude filter ${index}:`, extrudeFilter);
-        if (extrudeFilter) {
-          videoFilters.push(extrudeFilter);
-        }
-      });
-    } else if (selectedAnimation === 'retro-wave') {
-      // Retro Wave effect (80s neon synthwave)
-      console.log('Creating retro-wave filters for', subtitleData.length, 'subtitles');
-      subtitleData.forEach((sub, index) => {
-        const retroFilter = createRetroWaveFilter(sub, selectedFont, selectedPosition, selectedFontSize, selectedWordsPerLine);
-        console.log(`Retro Wave filter ${index}:`, retroFilter);
-        if (retroFilter) {
-          videoFilters.push(retroFilter);
-        }
-      });
-    } else {
-      // Use drawtext approach for other animations
-      console.log('Creating animation filters for', subtitleData.length, 'subtitles');
-      subtitleData.forEach((sub, index) => {
-        const animationFilter = createAnimationFilter(sub, selectedFont, textColor, selectedPosition, selectedBgColor, selectedAnimation, selectedFontSize, index, selectedWordsPerLine);
-        console.log(`Animation filter ${index}:`, animationFilter);
-        if (animationFilter) {
-          videoFilters.push(animationFilter);
-        }
-      });
-    }
+function toLanguageTag(language) {
+  const code = String(language || '').trim().toLowerCase();
+  if (/^[a-z]{3}$/.test(code)) return code;
+  return LANGUAGE_CODES[code] || 'und';
+}
 
-    const filterComplex = videoFilters.length > 1 ? videoFilters.join(',') : videoFilters[0];
-    console.log('Final filter:', filterComplex);
+// Soft subtitle containers: which caption file to write and how to store it in the output
+const SOFT_SUBTITLE_CONTAINERS = {
+  mp4: { formats: ['srt'], codec: 'mov_text' },
+  mkv: { formats: ['ass', 'srt'], codec: 'copy' }
+};
+
+// Mux caption files into the video as selectable tracks (video/audio are copied, not re-encoded)
+// tracks: [{ path, language, title }] - the first one is flagged as the default track
+function muxSoftSubtitles(videoPath, tracks, outputPath, codec, job) {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(videoPath);
+    const outputOptions = ['-map', '0:v', '-map', '0:a?'];
+
+    tracks.forEach((track, index) => {
+      command.input(track.path);
+      outputOptions.push('-map', `${index + 1}:0`);
+    });
+    outputOptions.push('-c:v', 'copy', '-c:a', 'copy', '-c:s', codec);
+    tracks.forEach((track, index) => {
+      outputOptions.push(
+        `-metadata:s:s:${index}`, `language=${track.language}`,
+        `-metadata:s:s:${index}`, `title=${track.title}`,
+        `-disposition:s:${index}`, index === 0 ? 'default' : '0'
+      );
+    });
 
-    // Use FFmpeg to burn subtitles into video
-    const ffmpegCommand = ffmpeg(videoPath).output(outputPath);
-    
-    if (selectedAnimation === 'none') {
-      ffmpegCommand.videoFilters(filterComplex);
-    } else {
-      // For animations, always use videoFilters for single subtitle
-      ffmpegCommand.videoFilters(filterComplex);
-    }
-    
-    ffmpegCommand
-      .on('end', () => {
-        // Clean up
-        if (fs.existsSync(videoPath)) fs.unlinkSync(videoPath);
-        if (fs.existsSync(subtitlePath)) fs.unlinkSync(subtitlePath);
-        res.json({
-          success: true,
-          outputUrl: `/outputs/${path.basename(outputPath)}`
-        });
-      })
-      .on('error', (err) => {
-        console.error('FFmpeg error:', err);
-        console.error('FFmpeg filter that failed:', filterComplex);
-        if (fs.existsSync(videoPath)) fs.unlinkSync(videoPath);
-        if (fs.existsSync(subtitlePath)) fs.unlinkSync(subtitlePath);
-        res.status(500).json({ success: false, error: 'Video processing failed', details: err.message });
-      })
+    command
+      .outputOptions(outputOptions)
+      .output(outputPath)
+      .on('progress', (progress) => job && updateJobProgress(job, progress.percent))
+      .on('end', resolve)
+      .on('error', reject)
       .run();
+  });
+}
 
-  } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ success: false, error: 'Server error', details: error.message });
+// Build the burn-in filter chain for one subtitle track
+// Static cues (animation 'none') are written to one ASS file at subtitlePath, animated cues are drawn
+// with drawtext - cues with style overrides use their own options (sub.options) for either
+function buildSubtitleFilters(subtitleData, options, subtitlePath) {
+  const videoFilters = [];
+
+  const assCues = subtitleData.filter(sub => (sub.options || options).animation === 'none');
+  if (assCues.length > 0) {
+    // Apply words per line / segmenter line breaks to subtitle text (ONLY for ASS subtitles - animation 'none')
+    // Drawtext animations don't support multi-line text properly
+    const assContent = generateASSContent(assCues.map(sub => ({
+      ...sub,
+      text: formatCueLines(sub, (sub.options || options).wordsPerLine, '\\N')
+    })), options);
+    fs.writeFileSync(subtitlePath, assContent);
+    console.log('Generated ASS file at:', subtitlePath);
+
+    // Use ass filter (simpler and more reliable than subtitles with force_style)
+    const escapedPath = escapeFFmpegPath(subtitlePath);
+    // Uploaded fonts are found through fontsdir, system fonts through fontconfig as before
+    const fontsDir = fs.existsSync(FONTS_DIR) ? `:fontsdir=${escapeFFmpegPath(FONTS_DIR)}` : '';
+    videoFilters.push(`ass=${escapedPath}${fontsDir}`);
   }
-});
 
-// Helper function to format time for SRT
-function formatSRTTime(seconds) {
-  const hours = Math.floor(seconds / 3600);
-  const minutes = Math.floor((seconds % 3600) / 60);
-  const secs = Math.floor(seconds % 60);
-  const ms = Math.floor((seconds % 1) * 1000);
-  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')},${String(ms).padStart(3, '0')}`;
+  // Animated cues, grouped by the options they are drawn with
+  const drawtextGroups = new Map();
+  subtitleData.forEach(sub => {
+    const cueOptions = sub.options || options;
+    if (cueOptions.animation === 'none') return;
+    if (!drawtextGroups.has(cueOptions)) drawtextGroups.set(cueOptions, []);
+    drawtextGroups.get(cueOptions).push(sub);
+  });
+  drawtextGroups.forEach((cues, cueOptions) => {
+    videoFilters.push(...buildDrawtextFilters(cues, cueOptions));
+  });
+
+  return videoFilters;
 }
 
-// Speech-to-Text endpoint using Groq Whisper API
-app.post('/api/transcribe', upload.single('video'), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ success: false, error: 'No video file uploaded' });
-    }
+// Build the drawtext filters for cues that share one animation and style
+function buildDrawtextFilters(subtitleData, options) {
+  const { style, colors } = options;
+  const selectedFont = options.font;
+  const selectedFontSize = options.fontSize;
+  const selectedColor = options.color;
+  const selectedPosition = options.position;
+  const selectedAnimation = options.animation;
+  const selectedWordsPerLine = options.wordsPerLine;
+  const layout = {
+    scale: options.layoutScale || 1,
+    marginV: options.marginV,
+    outlineColor: colors.outline ? toDrawtextColor(colors.outline) : 'black@0'
+  };
+  // drawtext colors: text, the word-effect accent and the (optional) background box
+  const baseColorHex = toDrawtextColor(colors.text);
+  const effectColorHex = toDrawtextColor(colors.effect);
+  const boxColorHex = colors.background ? toDrawtextColor(colors.background) : null;
+
+  console.log('Processing video with:', { style, font: selectedFont, fontSize: selectedFontSize, color: selectedColor, position: selectedPosition, bgColor: options.bgColor, animation: selectedAnimation, wordsPerLine: selectedWordsPerLine });
+  console.log('Selected animation:', selectedAnimation);
+
+  // Create animated subtitle filters based on selected animation
+  const videoFilters = [];
+
+  if (selectedAnimation === 'word-highlight') {
+    // Word-by-word highlight effect (karaoke style with background box)
+    console.log('Creating word-highlight filters for', subtitleData.length, 'subtitles');
+    subtitleData.forEach((sub, index) => {
+      const highlightFilter = createWordHighlightFilter(sub, selectedFont, baseColorHex, toDrawtextColor(colors.effect, 0.7), selectedPosition, boxColorHex, selectedFontSize, selectedWordsPerLine, layout);
+      console.log(`Word highlight filter ${index}:`, highlightFilter);
+      if (highlightFilter) {
+        videoFilters.push(highlightFilter);
+      }
+    });
+  } else if (selectedAnimation === 'word-fill') {
+    // Word-by-word fill effect (progressive color change that stays)
+    console.log('Creating word-fill filters for', subtitleData.length, 'subtitles');
+    subtitleData.forEach((sub, index) => {
+      const fillFilter = createWordFillFilter(sub, selectedFont, baseColorHex, effectColorHex, selectedPosition, boxColorHex, selectedFontSize, selectedWordsPerLine, layout);
+      console.log(`Word fill filter ${index}:`, fillFilter);
+      if (fillFilter) {
+        videoFilters.push(fillFilter);
+      }
+    });
+  } else if (selectedAnimation === 'word-color') {
+    // Word-by-word color change (current spoken word changes color)
+    console.log('Creating word-color filters for', subtitleData.length, 'subtitles');
+    subtitleData.forEach((sub, index) => {
+      const colorFilter = createWordColorFilter(sub, selectedFont, baseColorHex, effectColorHex, selectedPosition, boxColorHex, selectedFontSize, selectedWordsPerLine, layout);
+      console.log(`Word color filter ${index}:`, colorFilter);
+      if (colorFilter) {
+        videoFilters.push(colorFilter);
+      }
+    });
+  } else if (selectedAnimation === 'word-reveal') {
+    // Word-by-word reveal (words appear one by one as spoken)
+    console.log('Creating word-reveal filters for', subtitleData.length, 'subtitles');
+    subtitleData.forEach((sub, index) => {
+      const revealFilter = createWordRevealFilter(sub, selectedFont, baseColorHex, selectedPosition, boxColorHex, selectedFontSize, selectedWordsPerLine, layout);
+      console.log(`Word reveal filter ${index}:`, revealFilter);
+      if (revealFilter) {
+        videoFilters.push(revealFilter);
+      }
+    });
+  } else if (selectedAnimation === 'stroke') {
+    // Stroke animation (outline first, then fills with color)
+    console.log('Creating stroke filters for', subtitleData.length, 'subtitles');
+    subtitleData.forEach((sub, index) => {
+      const strokeFilter = createStrokeFilter(sub, selectedFont, baseColorHex, effectColorHex, selectedPosition, boxColorHex, selectedFontSize, selectedWordsPerLine, layout);
+      console.log(`Stroke filter ${index}:`, strokeFilter);
+      if (strokeFilter) {
+        videoFilters.push(strokeFilter);
+      }
+    });
+  } else if (selectedAnimation === 'fire-text') {
+    // Fire text effect (flickering fire colors)
+    console.log('Creating fire-text filters for', subtitleData.length, 'subtitles');
+    subtitleData.forEach((sub, index) => {
+      const fireFilter = createFireTextFilter(sub, selectedFont, selectedPosition, selectedFontSize, selectedWordsPerLine, layout);
+      console.log(`Fire text filter ${index}:`, fireFilter);
+      if (fireFilter) {
+        videoFilters.push(fireFilter);
+      }
+    });
+  } else if (selectedAnimation === 'ice-text') {
+    // Ice text effect (shimmering ice colors)
+    console.log('Creating ice-text filters for', subtitleData.length, 'subtitles');
+    subtitleData.forEach((sub, index) => {
+      const iceFilter = createIceTextFilter(sub, selectedFont, selectedPosition, selectedFontSize, selectedWordsPerLine, layout);
+      console.log(`Ice text filter ${index}:`, iceFilter);
+      if (iceFilter) {
+        videoFilters.push(iceFilter);
+      }
+    });
+  } else if (selectedAnimation === 'glitch') {
+    // Glitch effect (RGB splitting and jitter)
+    console.log('Creating glitch filters for', subtitleData.length, 'subtitles');
+    subtitleData.forEach((sub, index) => {
+      const glitchFilter = createGlitchFilter(sub, selectedFont, selectedPosition, selectedFontSize, selectedWordsPerLine, layout);
+      console.log(`Glitch filter ${index}:`, glitchFilter);
+      if (glitchFilter) {
+        videoFilters.push(glitchFilter);
+      }
+    });
+  } else if (selectedAnimation === '3d-extrude') {
+    // 3D Extrude effect (depth layers)
+    console.log('Creating 3d-extrude filters for', subtitleData.length, 'subtitles');
+    subtitleData.forEach((sub, index) => {
+      const extrudeFilter = create3DExtrudeFilter(sub, selectedFont, baseColorHex, selectedPosition, selectedFontSize, selectedWordsPerLine, layout);
+      console.log(`3D Extrude filter ${index}:`, extrudeFilter);
+      if (extrudeFilter) {
+        videoFilters.push(extrudeFilter);
+      }
+    });
+  } else if (selectedAnimation === 'retro-wave') {
+    // Retro Wave effect (80s neon synthwave)
+    console.log('Creating retro-wave filters for', subtitleData.length, 'subtitles');
+    subtitleData.forEach((sub, index) => {
+      const retroFilter = createRetroWaveFilter(sub, selectedFont, selectedPosition, selectedFontSize, selectedWordsPerLine, layout);
+      console.log(`Retro Wave filter ${index}:`, retroFilter);
+      if (retroFilter) {
+        videoFilters.push(retroFilter);
+      }
+    });
+  } else {
+    // Use drawtext approach for other animations
+    console.log('Creating animation filters for', subtitleData.length, 'subtitles');
+    subtitleData.forEach((sub, index) => {
+      const animationFilter = createAnimationFilter(sub, selectedFont, baseColorHex, selectedPosition, boxColorHex, selectedAnimation, selectedFontSize, index, selectedWordsPerLine, layout);
+      console.log(`Animation filter ${index}:`, animationFilter);
+      if (animationFilter) {
+        videoFilters.push(animationFilter);
+      }
+    });
+  }
 
-    if (!GROQ_API_KEY) {
-      return res.status(500).json({ success: false, error: 'Groq API key not configured' });
-    }
+  return videoFilters;
+}
 
-    const videoPath = req.file.path;
-    const audioPath = path.join('uploads', `audio-${Date.now()}.mp3`);
+// Style fields a track may override (see resolveSubtitleOptions)
+const TRACK_STYLE_FIELDS = ['style', 'font', 'fontSize', 'color', 'position', 'bgColor', 'animation', 'effectColor', 'wordsPerLine', 'outlineColor', 'outlineThickness', 'shadowColor', 'shadowDepth', 'italic', 'bold'];
 
-    console.log('Extracting audio from video...');
+function pickStyleFields(source) {
+  const fields = {};
+  TRACK_STYLE_FIELDS.forEach(field => {
+    if (source[field] !== undefined && source[field] !== '') fields[field] = source[field];
+  });
+  return fields;
+}
+
+// Helper function to validate a cue's `overrides` ({ color, position, animation, italic, ... })
+// Returns the overrides to keep, or null when there are none
+function pickCueOverrides(overrides) {
+  if (overrides === undefined || overrides === null || overrides === '') return null;
+  // Form posts send it as a JSON string
+  if (typeof overrides === 'string') overrides = JSON.parse(overrides);
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) throw new Error('Cue overrides must be an object');
+  const unknown = Object.keys(overrides).find(field => !TRACK_STYLE_FIELDS.includes(field));
+  if (unknown) throw new Error(`Unknown cue style field "${unknown}"`);
+  const picked = pickStyleFields(overrides);
+  return Object.keys(picked).length > 0 ? picked : null;
+}
+
+// Helper function to read `speakerStyles`: { "<speaker label>": { name, ...style fields } }
+function parseSpeakerStyles(value) {
+  if (!value) return null;
+  const styles = typeof value === 'string' ? JSON.parse(value) : value;
+  if (typeof styles !== 'object' || Array.isArray(styles)) throw new Error('speakerStyles must be an object keyed by speaker');
+  const parsed = {};
+  Object.entries(styles).forEach(([speaker, style]) => {
+    const { name, ...fields } = style || {};
+    parsed[speaker] = { name: name ? String(name).trim() : null, overrides: pickCueOverrides(fields) };
+  });
+  return parsed;
+}
+
+// Helper function to style cues by their speaker: a name prefix ("ANA: ...") and style overrides
+// A cue's own overrides win over its speaker's
+function applySpeakerStyles(subtitles, speakerStyles) {
+  if (!speakerStyles) return subtitles;
+  return subtitles.map(sub => {
+    const speakerStyle = speakerStyles[sub.speaker];
+    if (!speakerStyle) return sub;
+
+    const styled = { ...sub };
+    if (speakerStyle.overrides) {
+      styled.overrides = { ...speakerStyle.overrides, ...(pickCueOverrides(sub.overrides) || {}) };
+    }
+    if (speakerStyle.name) {
+      const prefix = `${speakerStyle.name}: `;
+      styled.text = prefix + sub.text;
+      if (sub.assText) styled.assText = prefix + sub.assText;
+      if (Array.isArray(sub.lines) && sub.lines.length > 0) styled.lines = [prefix + sub.lines[0], ...sub.lines.slice(1)];
+      // The name gets zero-length word timings so word effects still line up with the spoken words
+      if (sub.wordTimings && sub.wordTimings.length > 0) {
+        const start = sub.wordTimings[0].start;
+        const nameWords = prefix.trim().split(/\s+/).map(word => ({ word, start, end: start }));
+        styled.wordTimings = [...nameWords, ...sub.wordTimings];
+      }
+    }
+    return styled;
+  });
+}
+
+// Helper function to resolve per-cue overrides on top of the settings of the cue's track (body)
+// Overridden cues carry their own resolved `options`; the others use the track's
+function resolveCueStyles(subtitles, body) {
+  return subtitles.map(sub => {
+    const overrides = pickCueOverrides(sub.overrides);
+    if (!overrides) return sub;
+    return { ...sub, overrides, options: resolveSubtitleOptions({ ...body, ...overrides }) };
+  });
+}
+
+// Helper function to read subtitle tracks from a request body
+// Either `tracks` (JSON array of { name, language, title, subtitles, speakerStyles, ...style overrides })
+// or a single `subtitles` array styled by the top-level fields
+function parseSubtitleTracks(body) {
+  if (body.tracks) {
+    const tracks = typeof body.tracks === 'string' ? JSON.parse(body.tracks) : body.tracks;
+    if (!Array.isArray(tracks) || tracks.length === 0) throw new Error('tracks must be a non-empty array');
+
+    return tracks.map((track, index) => {
+      const overrides = pickStyleFields(track);
+      // Secondary tracks go to the top unless told otherwise, so they don't cover the primary one
+      if (index > 0 && !overrides.position) overrides.position = 'top-center';
+
+      const name = track.name || track.language || `track${index + 1}`;
+      return {
+        name,
+        language: toLanguageTag(track.language || name),
+        title: track.title || name,
+        subtitles: resolveCueStyles(
+          applySpeakerStyles(parseSubtitlePayload(track.subtitles || []), parseSpeakerStyles(track.speakerStyles || body.speakerStyles)),
+          { ...body, ...overrides }
+        ),
+        options: resolveSubtitleOptions({ ...body, ...overrides })
+      };
+    });
+  }
+
+  const language = body.language || 'en';
+  return [{
+    name: language,
+    language: toLanguageTag(language),
+    title: body.trackTitle || toLanguageTag(language),
+    subtitles: resolveCueStyles(applySpeakerStyles(parseSubtitlePayload(body.subtitles), parseSpeakerStyles(body.speakerStyles)), body),
+    options: resolveSubtitleOptions(body)
+  }];
+}
+
+// ===== Media library =====
+// Videos uploaded once to /api/media are kept under media/ and referenced by ID, so transcribe and
+// render calls (and re-renders with other styles) don't re-upload them. The ID is the content hash,
+// so uploading the same file twice stores it once.
+const MEDIA_DIR = 'media';
+const MEDIA_RETENTION_MS = (parseFloat(process.env.MEDIA_RETENTION_HOURS) || 24) * 60 * 60 * 1000;
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+function loadMedia(id) {
+  if (!/^[a-f0-9]{64}$/.test(String(id))) return null;
+  const file = path.join(MEDIA_DIR, `${id}.json`);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function saveMedia(media) {
+  fs.writeFileSync(path.join(MEDIA_DIR, `${media.id}.json`), JSON.stringify(media, null, 2));
+  return media;
+}
+
+function mediaPath(media) {
+  return path.join(MEDIA_DIR, media.filename);
+}
+
+function serializeMedia(media) {
+  return {
+    mediaId: media.id,
+    originalName: media.originalName,
+    size: media.size,
+    createdAt: media.createdAt,
+    lastUsedAt: media.lastUsedAt
+  };
+}
+
+// Remove media nobody has used for MEDIA_RETENTION_HOURS
+function pruneMedia() {
+  fs.readdirSync(MEDIA_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => loadMedia(path.basename(file, '.json')))
+    .filter(media => media && Date.now() - Date.parse(media.lastUsedAt) > MEDIA_RETENTION_MS)
+    .forEach(media => {
+      console.log(`Removing unused media ${media.id} (${media.originalName})`);
+      if (fs.existsSync(mediaPath(media))) fs.unlinkSync(mediaPath(media));
+      fs.unlinkSync(path.join(MEDIA_DIR, `${media.id}.json`));
+    });
+}
+setInterval(pruneMedia, 60 * 60 * 1000).unref();
+
+// Mark stored media as in use so pruneMedia keeps it
+function touchMedia(media) {
+  media.lastUsedAt = new Date().toISOString();
+  saveMedia(media);
+}
+
+// Helper function to find the video a request refers to: a multipart `video` upload (removed after use)
+// or a `mediaId` from /api/media (kept for later calls)
+function resolveVideoInput(req) {
+  if (req.file) return { videoPath: req.file.path, keepVideo: false };
+
+  if (req.body.mediaId) {
+    const media = loadMedia(req.body.mediaId);
+    if (!media || !fs.existsSync(mediaPath(media))) {
+      return { status: 404, error: 'Media not found - upload the video again' };
+    }
+    touchMedia(media);
+    return { videoPath: mediaPath(media), keepVideo: true };
+  }
+
+  return { status: 400, error: 'No video file uploaded' };
+}
+
+// Delete a multipart upload when a request is rejected (stored media is left alone)
+function discardUpload(req) {
+  if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+}
+
+app.post('/api/media', upload.single('video'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No video file uploaded' });
+    }
+
+    const id = await hashFile(req.file.path);
+    const now = new Date().toISOString();
+    const existing = loadMedia(id);
+
+    if (existing && fs.existsSync(mediaPath(existing))) {
+      // Same content already stored - drop the new copy
+      discardUpload(req);
+      existing.lastUsedAt = now;
+      return res.json({ success: true, deduplicated: true, ...serializeMedia(saveMedia(existing)) });
+    }
+
+    const filename = `${id}${path.extname(req.file.originalname).toLowerCase()}`;
+    fs.renameSync(req.file.path, path.join(MEDIA_DIR, filename));
+    const media = saveMedia({
+      id,
+      filename,
+      originalName: req.file.originalname,
+      size: req.file.size,
+      createdAt: now,
+      lastUsedAt: now
+    });
+    pruneMedia();
+
+    res.status(201).json({ success: true, deduplicated: false, ...serializeMedia(media) });
+
+  } catch (error) {
+    console.error('Media upload error:', error);
+    discardUpload(req);
+    res.status(500).json({ success: false, error: 'Upload failed', details: error.message });
+  }
+});
+
+app.get('/api/media/:id', (req, res) => {
+  const media = loadMedia(req.params.id);
+  if (!media) return res.status(404).json({ success: false, error: 'Media not found' });
+  res.json({ success: true, ...serializeMedia(media) });
+});
+
+app.delete('/api/media/:id', (req, res) => {
+  const media = loadMedia(req.params.id);
+  if (!media) return res.status(404).json({ success: false, error: 'Media not found' });
+  if (fs.existsSync(mediaPath(media))) fs.unlinkSync(mediaPath(media));
+  fs.unlinkSync(path.join(MEDIA_DIR, `${media.id}.json`));
+  res.json({ success: true });
+});
+
+// Sizes (font, margins, outline, shadow) are chosen for a 1080p frame and scaled by the short side
+// of the real frame, so a 720p phone clip and a 4K export get the same caption proportions
+const LAYOUT_REFERENCE_SIZE = 1080;
+
+// Helper function to lay options out on the probed frame (or the reframed canvas)
+function fitOptionsToFrame(options, frame) {
+  const { width, height } = options.reframe || frame;
+  const scale = Math.min(width, height) / LAYOUT_REFERENCE_SIZE;
+  const scaled = (value) => Math.round(value * scale * 10) / 10;
+  const { positionSettings } = options;
+
+  return {
+    ...options,
+    fontSize: Math.max(1, Math.round(options.fontSize * scale)),
+    outlineThickness: scaled(options.outlineThickness),
+    shadowDepth: scaled(options.shadowDepth),
+    playRes: { width, height },
+    marginV: Math.round(options.marginV * scale),
+    positionSettings: {
+      ...positionSettings,
+      MarginV: Math.round(positionSettings.MarginV * scale),
+      MarginL: Math.round(positionSettings.MarginL * scale),
+      MarginR: Math.round(positionSettings.MarginR * scale)
+    },
+    layoutScale: scale
+  };
+}
+
+// Helper function to read the display size of the first video stream from ffprobe metadata
+function getFrameSize(metadata) {
+  const stream = metadata.streams.find(s => s.codec_type === 'video');
+  if (!stream || !stream.width || !stream.height) return { width: 1920, height: 1080 };
+  // Phone clips are often stored landscape with a rotation flag
+  const rotation = Math.abs(parseInt((stream.tags && stream.tags.rotate) ||
+    ((stream.side_data_list || []).find(d => d.rotation !== undefined) || {}).rotation) || 0);
+  return rotation === 90 || rotation === 270
+    ? { width: stream.height, height: stream.width }
+    : { width: stream.width, height: stream.height };
+}
+
+// Helper function to build one filter chain that burns every track onto a frame of the given size
+// Each track gets its own ASS file (use absolute path for FFmpeg compatibility)
+function buildTrackFilters(tracks, frame) {
+  const subtitlePaths = [];
+  const videoFilters = [];
+  tracks.forEach((track, index) => {
+    const subtitlePath = path.resolve('uploads', `subtitles-${uniqueId()}-${index}.ass`);
+    subtitlePaths.push(subtitlePath);
+    console.log(`Building filters for track "${track.name}" on a ${frame.width}x${frame.height} frame`);
+    const subtitles = track.subtitles.map(sub => sub.options ? { ...sub, options: fitOptionsToFrame(sub.options, frame) } : sub);
+    videoFilters.push(...buildSubtitleFilters(subtitles, fitOptionsToFrame(track.options, frame), subtitlePath));
+  });
+
+  // Every track shares the request's reframe - it has to run before any text is drawn
+  const reframe = tracks.length > 0 ? tracks[0].options.reframe : null;
+  if (reframe) videoFilters.unshift(reframe.filter);
+
+  const filterComplex = videoFilters.length > 0 ? videoFilters.join(',') : null;
+  console.log('Final filter:', filterComplex);
+  return { filterComplex, subtitlePaths };
+}
+
+// Named encoding profiles for burned-in renders
+// maxHeight downscales (never upscales) after the subtitles are drawn; audio is re-encoded unless copied
+const OUTPUT_PROFILES = {
+  source: { label: 'Source resolution (H.264, CRF 23)', container: 'mp4', videoCodec: 'libx264', crf: 23, preset: 'medium', maxHeight: null, audioCodec: 'aac', audioBitrate: '160k' },
+  'web-1080p': { label: 'Web 1080p (H.264, CRF 23)', container: 'mp4', videoCodec: 'libx264', crf: 23, preset: 'medium', maxHeight: 1080, audioCodec: 'aac', audioBitrate: '160k' },
+  'web-720p': { label: 'Web 720p (H.264, CRF 23)', container: 'mp4', videoCodec: 'libx264', crf: 23, preset: 'medium', maxHeight: 720, audioCodec: 'aac', audioBitrate: '128k' },
+  archive: { label: 'Archive high quality (H.264, CRF 16, slow)', container: 'mkv', videoCodec: 'libx264', crf: 16, preset: 'slow', maxHeight: null, audioCodec: 'copy' },
+  small: { label: 'Small preview (H.264 480p, CRF 30)', container: 'mp4', videoCodec: 'libx264', crf: 30, preset: 'veryfast', maxHeight: 480, audioCodec: 'aac', audioBitrate: '96k' },
+  'webm-vp9': { label: 'WebM (VP9 + Opus)', container: 'webm', videoCodec: 'libvpx-vp9', crf: 32, maxHeight: 1080, audioCodec: 'libopus', audioBitrate: '128k', extraOptions: ['-b:v', '0', '-row-mt', '1'] },
+  hevc: { label: 'HEVC (H.265, CRF 26)', container: 'mp4', videoCodec: 'libx265', crf: 26, preset: 'medium', maxHeight: null, audioCodec: 'aac', audioBitrate: '160k', extraOptions: ['-tag:v', 'hvc1'] }
+};
+const DEFAULT_OUTPUT_PROFILE = 'source';
+
+// Audio codecs each container can take as-is - anything else is re-encoded even when copy is asked for
+const AUDIO_COPY_CODECS = {
+  mp4: ['aac', 'mp3', 'ac3', 'eac3', 'alac', 'opus', 'flac'],
+  webm: ['opus', 'vorbis'],
+  mkv: null // Matroska holds anything
+};
+
+// Helper function to pick the profile and audio handling (`audio`: copy | encode) for a request
+function resolveOutputProfile(body) {
+  const name = OUTPUT_PROFILES[body.profile] ? body.profile : DEFAULT_OUTPUT_PROFILE;
+  const profile = { name, ...OUTPUT_PROFILES[name] };
+  if (body.audio === 'copy') profile.audioCodec = 'copy';
+  if (body.audio === 'encode' && profile.audioCodec === 'copy') {
+    profile.audioCodec = profile.container === 'webm' ? 'libopus' : 'aac';
+    profile.audioBitrate = '192k';
+  }
+  return profile;
+}
+
+// Helper function to turn a profile into FFmpeg output options
+// sourceAudioCodec comes from ffprobe and decides whether audio copy is possible
+function buildEncodingOptions(profile, sourceAudioCodec) {
+  const options = ['-c:v', profile.videoCodec, '-crf', String(profile.crf), '-pix_fmt', 'yuv420p'];
+  if (profile.preset) options.push('-preset', profile.preset);
+  if (profile.extraOptions) options.push(...profile.extraOptions);
+
+  const copyable = AUDIO_COPY_CODECS[profile.container];
+  if (profile.audioCodec === 'copy' && (!copyable || copyable.includes(sourceAudioCodec))) {
+    options.push('-c:a', 'copy');
+  } else {
+    if (profile.audioCodec === 'copy') console.log(`Can't copy ${sourceAudioCodec} audio into ${profile.container}, re-encoding`);
+    const audioCodec = profile.audioCodec === 'copy' ? (profile.container === 'webm' ? 'libopus' : 'aac') : profile.audioCodec;
+    options.push('-c:a', audioCodec, '-b:a', profile.audioBitrate || '192k');
+  }
+
+  if (profile.container === 'mp4') options.push('-movflags', '+faststart');
+  return options;
+}
+
+// Helper function to queue a render of parsed subtitle tracks onto a video
+// Returns the job, or null when the tracks produce nothing to burn
+function queueRenderJob(videoPath, tracks, body, { keepVideo = false, onResult } = {}) {
+  // Soft subtitles: mux caption tracks instead of burning text into the picture
+  if (body.outputMode === 'soft') {
+    const container = SOFT_SUBTITLE_CONTAINERS[body.container] ? body.container : 'mp4';
+    const { formats, codec } = SOFT_SUBTITLE_CONTAINERS[container];
+    const captionFormat = formats.includes(body.subtitleFormat) ? body.subtitleFormat : formats[0];
+    const softOutputPath = path.join('outputs', `output-${uniqueId()}.${container}`);
+
+    const softTracks = tracks.map((track, index) => {
+      const trackPath = path.resolve('uploads', `subtitles-${uniqueId()}-${index}.${captionFormat}`);
+      fs.writeFileSync(trackPath, CAPTION_FORMATS[captionFormat].generate(track.subtitles, track.options));
+      return { path: trackPath, language: track.language, title: track.title };
+    });
+    console.log('Muxing soft subtitles:', { container, captionFormat, tracks: softTracks.map(t => t.language) });
+
+    return createJob('render', async (job) => {
+      setJobStage(job, 'muxing');
+      try {
+        await muxSoftSubtitles(videoPath, softTracks, softOutputPath, codec, job);
+      } catch (err) {
+        console.error('FFmpeg mux error:', err);
+        throw new Error(`Subtitle muxing failed: ${err.message}`);
+      } finally {
+        // Clean up
+        if (!keepVideo && fs.existsSync(videoPath)) fs.unlinkSync(videoPath);
+        softTracks.forEach(track => {
+          if (fs.existsSync(track.path)) fs.unlinkSync(track.path);
+        });
+      }
+      const result = { outputUrl: `/outputs/${path.basename(softOutputPath)}`, outputMode: 'soft', container };
+      if (onResult) onResult(result);
+      return result;
+    });
+  }
+
+  // Filters are built once the job runs and the frame size is known
+  if (tracks.every(track => track.subtitles.length === 0) && !tracks[0].options.reframe) return null;
+
+  const profile = resolveOutputProfile(body);
+  const outputPath = path.join('outputs', `output-${uniqueId()}.${profile.container}`);
+  let subtitlePaths = [];
+
+  const cleanup = () => {
+    if (!keepVideo && fs.existsSync(videoPath)) fs.unlinkSync(videoPath);
+    subtitlePaths.forEach(subtitlePath => {
+      if (fs.existsSync(subtitlePath)) fs.unlinkSync(subtitlePath);
+    });
+  };
+
+  return createJob('render', async (job) => {
+    setJobStage(job, 'rendering');
+    try {
+      const metadata = await probeMedia(videoPath);
+      const frame = getFrameSize(metadata);
+      const audioStream = metadata.streams.find(stream => stream.codec_type === 'audio');
+      const outputOptions = buildEncodingOptions(profile, audioStream ? audioStream.codec_name : null);
+      console.log(`Rendering ${frame.width}x${frame.height} with profile ${profile.name}:`, outputOptions.join(' '));
+
+      const built = buildTrackFilters(tracks, frame);
+      subtitlePaths = built.subtitlePaths;
+      const { filterComplex } = built;
+
+      // maxHeight limits the short side, so vertical video keeps its width
+      const { width, height } = tracks[0].options.reframe || frame;
+      const scaleFilter = height > width
+        ? `scale=min(iw\\,${profile.maxHeight}):-2`
+        : `scale=-2:min(ih\\,${profile.maxHeight})`;
+      const filters = [filterComplex, ...(profile.maxHeight ? [scaleFilter] : [])].filter(Boolean);
+
+      // Use FFmpeg to burn subtitles into video
+      await new Promise((resolve, reject) => {
+        const command = ffmpeg(videoPath)
+          .output(outputPath)
+          .outputOptions(outputOptions)
+          .on('progress', (progress) => updateJobProgress(job, progress.percent))
+          .on('end', resolve)
+          .on('error', (err) => {
+            console.error('FFmpeg error:', err);
+            console.error('FFmpeg filter that failed:', filterComplex);
+            reject(new Error(`Video processing failed: ${err.message}`));
+          });
+        if (filters.length > 0) command.videoFilters(filters);
+        command.run();
+      });
+    } finally {
+      // Clean up
+      cleanup();
+    }
+
+    const result = { outputUrl: `/outputs/${path.basename(outputPath)}`, profile: profile.name, container: profile.container };
+    if (onResult) onResult(result);
+    return result;
+  });
+}
+
+// ===== Font library =====
+let systemFontFamilies = null; // Listed once - system fonts don't change while we run
+
+function listSystemFontFamilies() {
+  if (!systemFontFamilies) {
+    let families;
+    try {
+      families = execFileSync('fc-list', ['--format=%{family[0]}\n'], { encoding: 'utf8', timeout: 10000 }).split('\n');
+    } catch (e) {
+      families = SYSTEM_FONT_DIRS.flatMap(listFontFiles).map(file => {
+        try {
+          return readFontInfo(file).family;
+        } catch (err) {
+          return null;
+        }
+      });
+    }
+    systemFontFamilies = [...new Set(families.map(f => f && f.trim()).filter(Boolean))].sort();
+  }
+  return systemFontFamilies;
+}
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'font';
+}
+
+app.get('/api/fonts', (req, res) => {
+  const library = listLibraryFonts().map(({ id, family, style }) => ({
+    id,
+    family,
+    style,
+    previewUrl: `/api/fonts/preview?family=${encodeURIComponent(family)}`
+  }));
+  res.json({ success: true, library, system: listSystemFontFamilies() });
+});
+
+app.post('/api/fonts', fontUpload.single('font'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, error: 'No font file uploaded (TTF or OTF)' });
+  }
+
+  // Parse it first - a renamed zip or a broken file would make libass/drawtext fail much later
+  const tempPath = path.join('uploads', `font-${uniqueId()}${path.extname(req.file.originalname).toLowerCase()}`);
+  fs.writeFileSync(tempPath, req.file.buffer);
+  let info;
+  try {
+    info = readFontInfo(tempPath);
+  } catch (e) {
+    fs.unlinkSync(tempPath);
+    return res.status(400).json({ success: false, error: 'Not a valid TTF/OTF font', details: e.message });
+  }
+
+  // One file per family + style - uploading it again replaces it
+  const id = `${slugify(info.family)}-${slugify(info.style)}`;
+  listLibraryFonts()
+    .filter(font => font.id === id)
+    .forEach(font => fs.unlinkSync(font.file));
+  fs.renameSync(tempPath, path.join(FONTS_DIR, `${id}${path.extname(tempPath)}`));
+  resetFontCaches();
+  console.log(`Added font ${info.family} ${info.style}`);
+
+  res.status(201).json({ success: true, font: { id, ...info, previewUrl: `/api/fonts/preview?family=${encodeURIComponent(info.family)}` } });
+});
+
+app.delete('/api/fonts/:id', (req, res) => {
+  const font = listLibraryFonts().find(f => f.id === req.params.id);
+  if (!font) return res.status(404).json({ success: false, error: 'Font not found' });
+  fs.unlinkSync(font.file);
+  resetFontCaches();
+  res.json({ success: true });
+});
+
+// SVG sample of a font (library or system) rendered from its glyph outlines
+app.get('/api/fonts/preview', (req, res) => {
+  const family = req.query.family;
+  const resolved = family ? resolveFont(family) : null;
+  if (!resolved || !resolved.exact) {
+    return res.status(404).json({ success: false, error: `Font "${family}" is not installed` });
+  }
+
+  const font = loadFontMetrics(family);
+  if (!font) {
+    return res.status(500).json({ success: false, error: 'Could not read font file' });
+  }
+
+  const text = String(req.query.text || 'Aa').slice(0, 60);
+  const size = Math.min(200, parseInt(req.query.size) || 48);
+  // Lay glyphs out one by one like calculateWordPositions - opentype's shaper chokes on some GSUB tables
+  const glyphPath = new opentype.Path();
+  const scale = size / font.unitsPerEm;
+  let x = 0;
+  Array.from(text).map(char => font.charToGlyph(char)).forEach((glyph, i, glyphs) => {
+    if (i > 0) x += font.getKerningValue(glyphs[i - 1], glyph) * scale;
+    glyphPath.extend(glyph.getPath(x, size, size));
+    x += (glyph.advanceWidth || 0) * scale;
+  });
+  const box = glyphPath.getBoundingBox();
+  const width = Math.ceil(Math.max(box.x2, x, 1));
+  const height = Math.ceil(size * 1.3);
+  glyphPath.fill = req.query.color ? `#${String(req.query.color).replace(/[^0-9a-f]/gi, '')}` : '#ffffff';
+
+  res.type('image/svg+xml').send(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${glyphPath.toSVG(2)}</svg>`
+  );
+});
+
+// ===== Style presets =====
+// Named bundles of style settings (presets/<id>.json); a request's `preset` fills in the fields it leaves out
+const PRESETS_DIR = 'presets';
+
+// Helper function to turn a preset name into its ID ("Brand Bold" -> "brand-bold")
+function presetId(name) {
+  return String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function presetPath(id) {
+  return path.join(PRESETS_DIR, `${id}.json`);
+}
+
+function readPreset(id) {
+  return JSON.parse(fs.readFileSync(presetPath(id), 'utf8'));
+}
+
+// Look a preset up by ID or by name (renamed presets keep their original ID)
+function loadPreset(nameOrId) {
+  const id = presetId(nameOrId || '');
+  if (!id) return null;
+  if (fs.existsSync(presetPath(id))) return readPreset(id);
+  const match = fs.readdirSync(PRESETS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => readPreset(path.basename(file, '.json')))
+    .find(preset => presetId(preset.name) === id);
+  return match || null;
+}
+
+function savePreset(preset) {
+  preset.updatedAt = new Date().toISOString();
+  const file = presetPath(preset.id);
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(preset, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+  return preset;
+}
+
+// Helper function to read preset settings from `settings` (object or JSON string) or the top-level fields
+// Unknown fields are rejected and the result must resolve like a real render request
+function parsePresetSettings(body) {
+  let settings = body.settings !== undefined ? body.settings : pickStyleFields(body);
+  if (typeof settings === 'string') settings = JSON.parse(settings);
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) throw new Error('settings must be an object');
+  const unknown = Object.keys(settings).find(field => !TRACK_STYLE_FIELDS.includes(field));
+  if (unknown) throw new Error(`Unknown style field "${unknown}"`);
+  return settings;
+}
+
+function validatePresetSettings(settings) {
+  const picked = pickStyleFields(settings);
+  resolveSubtitleOptions(picked);
+  return picked;
+}
+
+// Helper function to fill in the fields a request leaves out from its `preset`
+// Returns null when the preset doesn't exist
+function applyStylePreset(body) {
+  if (!body.preset) return body;
+  const preset = loadPreset(body.preset);
+  if (!preset) return null;
+  const merged = { ...body };
+  Object.entries(preset.settings).forEach(([field, value]) => {
+    if (merged[field] === undefined || merged[field] === '') merged[field] = value;
+  });
+  return merged;
+}
+
+function presetNotFound(name) {
+  return { success: false, error: 'Preset not found', details: `No style preset named "${name}"` };
+}
+
+app.get('/api/presets', (req, res) => {
+  const presets = fs.readdirSync(PRESETS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => readPreset(path.basename(file, '.json')))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  res.json({ success: true, presets });
+});
+
+app.post('/api/presets', upload.none(), (req, res) => {
+  const name = String(req.body.name || '').trim();
+  const id = presetId(name);
+  if (!id) {
+    return res.status(400).json({ success: false, error: 'A preset needs a name' });
+  }
+  if (fs.existsSync(presetPath(id))) {
+    return res.status(409).json({ success: false, error: 'Preset already exists', details: `Update it with PUT /api/presets/${id}` });
+  }
+
+  let settings;
+  try {
+    settings = validatePresetSettings(parsePresetSettings(req.body));
+  } catch (e) {
+    return res.status(400).json({ success: false, error: 'Invalid style settings', details: e.message });
+  }
+
+  const preset = { id, name, createdAt: new Date().toISOString(), settings };
+  res.status(201).json({ success: true, preset: savePreset(preset) });
+});
+
+app.get('/api/presets/:id', (req, res) => {
+  const preset = loadPreset(req.params.id);
+  if (!preset) return res.status(404).json(presetNotFound(req.params.id));
+  res.json({ success: true, preset });
+});
+
+// Merge new settings into the preset; a field set to null is removed from it
+app.put('/api/presets/:id', upload.none(), (req, res) => {
+  const preset = loadPreset(req.params.id);
+  if (!preset) return res.status(404).json(presetNotFound(req.params.id));
+
+  try {
+    const merged = { ...preset.settings, ...parsePresetSettings(req.body) };
+    Object.keys(merged).forEach(field => {
+      if (merged[field] === null) delete merged[field];
+    });
+    preset.settings = validatePresetSettings(merged);
+  } catch (e) {
+    return res.status(400).json({ success: false, error: 'Invalid style settings', details: e.message });
+  }
+  // The display name can change, but the ID (and file) stays so existing references keep working
+  if (req.body.name && String(req.body.name).trim()) preset.name = String(req.body.name).trim();
+
+  res.json({ success: true, preset: savePreset(preset) });
+});
+
+app.delete('/api/presets/:id', (req, res) => {
+  const preset = loadPreset(req.params.id);
+  if (!preset) return res.status(404).json(presetNotFound(req.params.id));
+  fs.unlinkSync(presetPath(preset.id));
+  res.json({ success: true });
+});
+
+app.get('/api/output-profiles', (req, res) => {
+  const profiles = Object.entries(OUTPUT_PROFILES).map(([name, profile]) => ({
+    name,
+    label: profile.label,
+    container: profile.container,
+    videoCodec: profile.videoCodec,
+    crf: profile.crf,
+    maxHeight: profile.maxHeight,
+    audioCodec: profile.audioCodec
+  }));
+  res.json({ success: true, defaultProfile: DEFAULT_OUTPUT_PROFILE, profiles });
+});
+
+app.post('/api/add-subtitles', upload.single('video'), async (req, res) => {
+  try {
+    const { videoPath, keepVideo, status, error } = resolveVideoInput(req);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+    
+    if (!req.body.subtitles && !req.body.tracks) {
+      discardUpload(req);
+      return res.status(400).json({ success: false, error: 'No subtitles provided' });
+    }
+
+    // A named preset fills in any style fields the request leaves out
+    const body = applyStylePreset(req.body);
+    if (!body) {
+      discardUpload(req);
+      return res.status(404).json(presetNotFound(req.body.preset));
+    }
+    
+    let tracks;
+    try {
+      tracks = parseSubtitleTracks(body);
+    } catch (e) {
+      discardUpload(req);
+      return res.status(400).json({ success: false, error: 'Invalid subtitle format', details: e.message });
+    }
+
+    // Burned-in text needs the font on this machine - don't let FFmpeg silently substitute one
+    const missingFont = body.outputMode === 'soft' ? null : findMissingFont(tracks);
+    if (missingFont) {
+      discardUpload(req);
+      return res.status(400).json(missingFontError(missingFont));
+    }
+
+    // Queue the render and respond immediately - client polls /api/jobs/:id
+    const job = queueRenderJob(videoPath, tracks, body, { keepVideo });
+    if (!job) {
+      discardUpload(req);
+      return res.status(400).json({ success: false, error: 'No subtitles to render' });
+    }
+
+    res.status(202).json({ success: true, jobId: job.id, statusUrl: `/api/jobs/${job.id}`, eventsUrl: `/api/jobs/${job.id}/events` });
+
+  } catch (error) {
+    console.error('Error:', error);
+    res.status(500).json({ success: false, error: 'Server error', details: error.message });
+  }
+});
+
+// ===== Previews =====
+// Render a short window at low resolution with the same filter builders, to compare styles quickly
+const PREVIEW_MAX_SECONDS = 30;
+const PREVIEW_HEIGHTS = [240, 360, 480, 720];
+
+// Helper function to move cues onto the timeline of a clip cut at `start`
+// Cues outside the window are dropped; times may go negative so animations keep their phase
+function shiftCuesToWindow(subtitles, start, duration) {
+  return subtitles
+    .filter(sub => parseFloat(sub.endTime) > start && parseFloat(sub.startTime) < start + duration)
+    .map(sub => {
+      const shifted = { ...sub, startTime: parseFloat(sub.startTime) - start, endTime: parseFloat(sub.endTime) - start };
+      if (sub.wordTimings) {
+        shifted.wordTimings = sub.wordTimings.map(wt => ({ ...wt, start: wt.start - start, end: wt.end - start }));
+      }
+      return shifted;
+    });
+}
+
+// Helper function to read the preview window from `start` or `around` (seconds) and `duration`
+function resolvePreviewWindow(body) {
+  const duration = Math.min(PREVIEW_MAX_SECONDS, parseFloat(body.duration) || 5);
+  const start = body.around !== undefined && body.around !== ''
+    ? Math.max(0, parseFloat(body.around) - duration / 2)
+    : Math.max(0, parseFloat(body.start) || 0);
+  if (isNaN(start)) throw new Error('start/around must be a number of seconds');
+  return { start, duration };
+}
+
+function timemarkToSeconds(timemark) {
+  const [hours, minutes, seconds] = String(timemark).split(':').map(parseFloat);
+  return (hours * 3600) + (minutes * 60) + seconds;
+}
+
+function queuePreviewJob(videoPath, tracks, { start, duration, height, keepVideo = false }) {
+  const windowTracks = tracks.map(track => ({ ...track, subtitles: shiftCuesToWindow(track.subtitles, start, duration) }));
+  const outputPath = path.join('outputs', `preview-${uniqueId()}.mp4`);
+  let subtitlePaths = [];
+
+  const cleanup = () => {
+    if (!keepVideo && fs.existsSync(videoPath)) fs.unlinkSync(videoPath);
+    subtitlePaths.forEach(subtitlePath => {
+      if (fs.existsSync(subtitlePath)) fs.unlinkSync(subtitlePath);
+    });
+  };
+
+  return createJob('preview', async (job) => {
+    setJobStage(job, 'rendering');
+    try {
+      const built = buildTrackFilters(windowTracks, getFrameSize(await probeMedia(videoPath)));
+      subtitlePaths = built.subtitlePaths;
+
+      // Burn on the full frame (same layout as the real render), then scale down
+      const filters = built.filterComplex ? [built.filterComplex, `scale=-2:${height}`] : [`scale=-2:${height}`];
+      await new Promise((resolve, reject) => {
+        ffmpeg(videoPath)
+          .setStartTime(start)
+          .setDuration(duration)
+          .videoFilters(filters)
+          .outputOptions(['-c:v', 'libx264', '-preset', 'ultrafast', '-crf', '30', '-c:a', 'aac', '-b:a', '96k', '-movflags', '+faststart'])
+          .output(outputPath)
+          .on('progress', (progress) => updateJobProgress(job, (timemarkToSeconds(progress.timemark) / duration) * 100))
+          .on('end', resolve)
+          .on('error', (err) => {
+            console.error('FFmpeg preview error:', err);
+            reject(new Error(`Preview failed: ${err.message}`));
+          })
+          .run();
+      });
+    } finally {
+      cleanup();
+    }
+
+    // Previews are throwaway - remove them along with the job
+    setTimeout(() => {
+      if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+    }, JOB_RETENTION_MS).unref();
+    return { outputUrl: `/outputs/${path.basename(outputPath)}`, start, duration };
+  });
+}
+
+app.post('/api/preview-subtitles', upload.single('video'), async (req, res) => {
+  try {
+    const { videoPath, keepVideo, status, error } = resolveVideoInput(req);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    if (!req.body.subtitles && !req.body.tracks) {
+      discardUpload(req);
+      return res.status(400).json({ success: false, error: 'No subtitles provided' });
+    }
+
+    const body = applyStylePreset(req.body);
+    if (!body) {
+      discardUpload(req);
+      return res.status(404).json(presetNotFound(req.body.preset));
+    }
+
+    let tracks, previewWindow;
+    try {
+      tracks = parseSubtitleTracks(body);
+      previewWindow = resolvePreviewWindow(req.body);
+    } catch (e) {
+      discardUpload(req);
+      return res.status(400).json({ success: false, error: 'Invalid preview request', details: e.message });
+    }
+
+    const missingFont = findMissingFont(tracks);
+    if (missingFont) {
+      discardUpload(req);
+      return res.status(400).json(missingFontError(missingFont));
+    }
+
+    const height = PREVIEW_HEIGHTS.includes(parseInt(req.body.height)) ? parseInt(req.body.height) : 360;
+    const job = queuePreviewJob(videoPath, tracks, { ...previewWindow, height, keepVideo });
+
+    res.status(202).json({ success: true, jobId: job.id, statusUrl: `/api/jobs/${job.id}`, eventsUrl: `/api/jobs/${job.id}/events` });
+
+  } catch (error) {
+    console.error('Preview error:', error);
+    res.status(500).json({ success: false, error: 'Server error', details: error.message });
+  }
+});
+
+// Render one frame at `time` as a PNG with the subtitle filters applied
+// Without subtitles, a sample cue around `time` shows the style on the user's own footage
+app.post('/api/preview-frame', upload.single('video'), async (req, res) => {
+  const { videoPath, keepVideo, status, error } = resolveVideoInput(req);
+  if (error) {
+    return res.status(status).json({ success: false, error });
+  }
+
+  const framePath = path.join('uploads', `frame-${uniqueId()}.png`);
+  let subtitlePaths = [];
+  const cleanup = () => {
+    if (!keepVideo && fs.existsSync(videoPath)) fs.unlinkSync(videoPath);
+    [framePath, ...subtitlePaths].forEach(file => {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    });
+  };
+
+  try {
+    const time = Math.max(0, parseFloat(req.body.time) || 0);
+    const styled = applyStylePreset(req.body);
+    if (!styled) {
+      cleanup();
+      return res.status(404).json(presetNotFound(req.body.preset));
+    }
+    const body = styled.subtitles || styled.tracks ? styled : {
+      ...styled,
+      subtitles: [{ text: styled.sampleText || 'The quick brown fox jumps', startTime: Math.max(0, time - 1.5), endTime: time + 2 }]
+    };
+
+    let tracks;
+    try {
+      tracks = parseSubtitleTracks(body);
+    } catch (e) {
+      cleanup();
+      return res.status(400).json({ success: false, error: 'Invalid subtitle format', details: e.message });
+    }
+
+    const missingFont = findMissingFont(tracks);
+    if (missingFont) {
+      cleanup();
+      return res.status(400).json(missingFontError(missingFont));
+    }
+
+    // The frame becomes t=0 after seeking, so move the cues with it (same as the clip preview)
+    const windowTracks = tracks.map(track => ({ ...track, subtitles: shiftCuesToWindow(track.subtitles, time, 1) }));
+    const built = buildTrackFilters(windowTracks, getFrameSize(await probeMedia(videoPath)));
+    subtitlePaths = built.subtitlePaths;
+
+    const filters = built.filterComplex ? [built.filterComplex] : [];
+    const width = parseInt(req.body.width);
+    if (width >= 16 && width <= 3840) filters.push(`scale=${width}:-2`);
 
-    // Extract audio from video using ffmpeg
     await new Promise((resolve, reject) => {
-      ffmpeg(videoPath)
-        .toFormat('mp3')
-        .audioCodec('libmp3lame')
-        .audioChannels(1)
-        .audioFrequency(16000)
-        .output(audioPath)
+      const command = ffmpeg(videoPath)
+        .setStartTime(time)
+        .noAudio()
+        .frames(1)
+        .output(framePath)
         .on('end', resolve)
-        .on('error', reject)
-        .run();
+        .on('error', reject);
+      if (filters.length > 0) command.videoFilters(filters);
+      command.run();
     });
 
-    console.log('Audio extracted, sending to Groq Whisper...');
+    if (!fs.existsSync(framePath)) {
+      cleanup();
+      return res.status(400).json({ success: false, error: 'No frame at that time - is it past the end of the video?' });
+    }
+
+    res.type('png').send(fs.readFileSync(framePath));
+    cleanup();
+
+  } catch (error) {
+    console.error('Frame preview error:', error);
+    cleanup();
+    res.status(500).json({ success: false, error: 'Frame preview failed', details: error.message });
+  }
+});
+
+// Job status endpoint (poll for render progress)
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  res.json({ success: true, job: serializeJob(job) });
+});
+
+// Server-Sent Events stream of job stage/progress changes
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  const send = (data) => {
+    const finished = data.status === 'done' || data.status === 'failed';
+    res.write(`event: ${finished ? data.status : 'progress'}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+    if (finished) close();
+  };
+
+  // Comment line keeps proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    jobEvents.removeListener(job.id, send);
+    res.end();
+  };
+
+  jobEvents.on(job.id, send);
+  req.on('close', close);
+
+  // Send current state right away
+  send(serializeJob(job));
+});
+
+// Helper function to format time for SRT
+function formatSRTTime(seconds) {
+  // Work in whole milliseconds so 1.2s doesn't become 00:00:01,199
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')},${String(ms).padStart(3, '0')}`;
+}
+
+// Helper function to format time for WebVTT (same as SRT but with a dot)
+function formatVTTTime(seconds) {
+  return formatSRTTime(seconds).replace(',', '.');
+}
+
+// Helper function to read the subtitles field (JSON string from a form, or an array from a JSON body)
+function parseSubtitlePayload(subtitles) {
+  const data = typeof subtitles === 'string' ? JSON.parse(subtitles) : subtitles;
+  if (!Array.isArray(data)) throw new Error('Subtitles must be an array');
+  return data.filter(sub => sub && typeof sub.text === 'string' && !isNaN(parseFloat(sub.startTime)) && !isNaN(parseFloat(sub.endTime)));
+}
+
+// Generate SRT captions ({\anN} position tags are understood by most players)
+function generateSRTContent(subtitleData, options) {
+  const alignment = options.positionSettings.Alignment;
+  const positionTag = alignment !== 2 ? `{\\an${alignment}}` : '';
+
+  return subtitleData.map((sub, index) => {
+    const text = formatCueLines(sub, options.wordsPerLine, '\n');
+    return `${index + 1}\n${formatSRTTime(sub.startTime)} --> ${formatSRTTime(sub.endTime)}\n${positionTag}${text}\n`;
+  }).join('\n');
+}
+
+// Generate WebVTT captions - word timings become inline karaoke timestamps
+function generateVTTContent(subtitleData, options) {
+  const escapeVTT = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+  // Map our position names to WebVTT cue settings
+  const { position } = options;
+  const cueSettings = [];
+  if (position.includes('top')) cueSettings.push('line:0');
+  else if (position.includes('middle')) cueSettings.push('line:50%');
+  if (position.includes('left')) cueSettings.push('align:start');
+  else if (position.includes('right')) cueSettings.push('align:end');
+  const settings = cueSettings.length > 0 ? ` ${cueSettings.join(' ')}` : '';
+
+  let vttContent = 'WEBVTT\n\n';
+  subtitleData.forEach((sub, index) => {
+    let text;
+    // Karaoke timestamps only while the timings still match the text, otherwise a plain cue
+    if (options.wordTimestamps !== false && wordTimingsMatchText(sub)) {
+      // Word indexes that start a new line
+      const lineStarts = new Set();
+      let wordIndex = 0;
+      formatCueLines(sub, options.wordsPerLine, '\n').split('\n').forEach(line => {
+        lineStarts.add(wordIndex);
+        wordIndex += line.split(/\s+/).filter(w => w.length > 0).length;
+      });
+      text = sub.wordTimings.map((wt, i) => {
+        const separator = i === 0 ? '' : (lineStarts.has(i) ? '\n' : ' ');
+        const timestamp = i === 0 ? '' : `<${formatVTTTime(wt.start)}>`;
+        return `${separator}${timestamp}${escapeVTT(wt.word)}`;
+      }).join('');
+    } else {
+      text = escapeVTT(formatCueLines(sub, options.wordsPerLine, '\n'));
+    }
+    vttContent += `${index + 1}\n${formatVTTTime(sub.startTime)} --> ${formatVTTTime(sub.endTime)}${settings}\n${text}\n\n`;
+  });
+
+  return vttContent;
+}
+
+const CAPTION_FORMATS = {
+  srt: { contentType: 'application/x-subrip', generate: generateSRTContent },
+  vtt: { contentType: 'text/vtt', generate: generateVTTContent },
+  ass: {
+    contentType: 'text/x-ssa',
+    generate: (subtitleData, options) => generateASSContent(subtitleData.map(sub => ({
+      ...sub,
+      text: formatCueLines(sub, options.wordsPerLine, '\\N')
+    })), options)
+  }
+};
+
+// Export subtitles as a downloadable caption file (no video rendering)
+app.post('/api/export-subtitles', upload.none(), (req, res) => {
+  try {
+    const format = String(req.body.format || req.query.format || 'srt').toLowerCase();
+    const captionFormat = CAPTION_FORMATS[format];
+    if (!captionFormat) {
+      return res.status(400).json({ success: false, error: `Unsupported format: ${format}. Use srt, vtt or ass` });
+    }
+
+    if (!req.body.subtitles) {
+      return res.status(400).json({ success: false, error: 'No subtitles provided' });
+    }
+
+    let subtitleData;
+    try {
+      subtitleData = parseSubtitlePayload(req.body.subtitles);
+    } catch (e) {
+      return res.status(400).json({ success: false, error: 'Invalid subtitle format' });
+    }
+    if (subtitleData.length === 0) {
+      return res.status(400).json({ success: false, error: 'No valid subtitles provided' });
+    }
+
+    let options;
+    try {
+      options = resolveSubtitleOptions(req.body);
+      // Speaker names and styles match the burned-in render
+      subtitleData = resolveCueStyles(applySpeakerStyles(subtitleData, parseSpeakerStyles(req.body.speakerStyles)), req.body);
+    } catch (e) {
+      return res.status(400).json({ success: false, error: 'Invalid style settings', details: e.message });
+    }
+    options.wordTimestamps = req.body.wordTimestamps !== false && req.body.wordTimestamps !== 'false';
+
+    const content = captionFormat.generate(subtitleData, options);
+    const baseName = String(req.body.filename || `subtitles-${Date.now()}`).replace(/[^\w.-]/g, '_').replace(/\.(srt|vtt|ass)$/i, '');
+
+    res.set({
+      'Content-Type': `${captionFormat.contentType}; charset=utf-8`,
+      'Content-Disposition': `attachment; filename="${baseName}.${format}"`
+    });
+    res.send(content);
+
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({ success: false, error: 'Export failed', details: error.message });
+  }
+});
+
+// Helper function to parse caption timestamps: SRT (00:01:02,500), VTT (01:02.500 or 00:01:02.500), ASS (0:01:02.50)
+function parseCaptionTime(value) {
+  const match = String(value).trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[.,](\d{1,3}))?$/);
+  if (!match) return NaN;
+  const [, hours, minutes, seconds, fraction] = match;
+  // Fraction digits are a decimal part: ".5" = 500ms, ".50" = 500ms, ".500" = 500ms
+  const fractionSeconds = fraction ? parseInt(fraction) / Math.pow(10, fraction.length) : 0;
+  return (parseInt(hours || 0) * 3600) + (parseInt(minutes) * 60) + parseInt(seconds) + fractionSeconds;
+}
+
+// Convert SRT/VTT style HTML tags into ASS override tags
+function htmlTagsToASS(text) {
+  return text
+    .replace(/<(\/?)([ibus])>/gi, (m, closing, tag) => `{\\${tag.toLowerCase()}${closing ? 0 : 1}}`)
+    .replace(/<font[^>]*color=["']?#?([0-9a-f]{6})["']?[^>]*>/gi, (m, hex) => {
+      const rgb = hex.toUpperCase();
+      return `{\\c&H${rgb.substr(4, 2)}${rgb.substr(2, 2)}${rgb.substr(0, 2)}&}`; // RGB -> ASS BGR
+    })
+    .replace(/<\/font>/gi, '{\\c}')
+    .replace(/<[^>]+>/g, '') // Drop anything we can't express in ASS
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&nbsp;/g, '\\h').replace(/&amp;/g, '&');
+}
+
+// Decode the HTML entities allowed in SRT/VTT cue text
+function decodeCaptionEntities(text) {
+  return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&');
+}
+
+// Remove all markup to get the plain text the drawtext filters use
+function stripCaptionMarkup(text) {
+  return decodeCaptionEntities(text
+    .replace(/\{[^}]*\}/g, '')
+    .replace(/<[^>]+>/g, '')
+    .replace(/\\[Nn]/g, ' ')
+    .replace(/\\h/g, ' '))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Parse an SRT file into subtitle objects
+function parseSRT(content) {
+  const subtitles = [];
+  content.split(/\n\s*\n/).forEach(block => {
+    const lines = block.split('\n');
+    const timeIndex = lines.findIndex(line => line.includes('-->'));
+    if (timeIndex === -1) return;
+
+    const [start, end] = lines[timeIndex].split('-->').map(t => parseCaptionTime(t.trim().split(/\s+/)[0]));
+    const rawLines = lines.slice(timeIndex + 1).filter(line => line.trim().length > 0);
+    if (isNaN(start) || isNaN(end) || rawLines.length === 0) return;
+
+    const text = stripCaptionMarkup(rawLines.join(' '));
+    if (text.length === 0) return;
+    subtitles.push({ text, startTime: start, endTime: end, assText: htmlTagsToASS(rawLines.join('\\N')) });
+  });
+  return subtitles;
+}
+
+// Parse a WebVTT file - inline <00:00:01.500> timestamps become wordTimings
+function parseVTT(content) {
+  const subtitles = [];
+  content.split(/\n\s*\n/).forEach(block => {
+    const lines = block.split('\n');
+    const timeIndex = lines.findIndex(line => line.includes('-->'));
+    // Skips the WEBVTT header, NOTE, STYLE and REGION blocks
+    if (timeIndex === -1) return;
+
+    const [startPart, endPart] = lines[timeIndex].split('-->');
+    const start = parseCaptionTime(startPart.trim());
+    const end = parseCaptionTime(endPart.trim().split(/\s+/)[0]);
+    const rawLines = lines.slice(timeIndex + 1).filter(line => line.trim().length > 0);
+    if (isNaN(start) || isNaN(end) || rawLines.length === 0) return;
+
+    const rawText = rawLines.join('\n');
+    const text = stripCaptionMarkup(rawText);
+    if (text.length === 0) return;
+
+    const subtitle = { text, startTime: start, endTime: end, assText: htmlTagsToASS(rawLines.join('\\N').replace(/<\d[\d:.]*>/g, '')) };
+
+    // Karaoke timestamps: each <time> marks when the following words start
+    if (/<\d[\d:.]*>/.test(rawText)) {
+      const chunks = [];
+      let chunkStart = start;
+      rawText.split(/(<\d[\d:.]*>)/).forEach(part => {
+        const timestamp = part.match(/^<(\d[\d:.]*)>$/);
+        if (timestamp) {
+          chunkStart = parseCaptionTime(timestamp[1]);
+          return;
+        }
+        const words = stripCaptionMarkup(part).split(/\s+/).filter(w => w.length > 0);
+        if (words.length > 0) chunks.push({ words, start: chunkStart });
+      });
+
+      subtitle.wordTimings = [];
+      chunks.forEach((chunk, i) => {
+        const chunkEnd = chunks[i + 1] ? chunks[i + 1].start : end;
+        const wordDuration = (chunkEnd - chunk.start) / chunk.words.length;
+        chunk.words.forEach((word, j) => {
+          subtitle.wordTimings.push({
+            word,
+            start: chunk.start + j * wordDuration,
+            end: chunk.start + (j + 1) * wordDuration
+          });
+        });
+      });
+    }
+
+    subtitles.push(subtitle);
+  });
+  return subtitles;
+}
+
+// Parse an ASS/SSA file - inline override tags are kept in assText for the ASS render path
+function parseASS(content) {
+  const subtitles = [];
+  let inEvents = false;
+  let fields = ['Layer', 'Start', 'End', 'Style', 'Name', 'MarginL', 'MarginR', 'MarginV', 'Effect', 'Text'];
+
+  content.split('\n').forEach(line => {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('[')) {
+      inEvents = trimmed.toLowerCase() === '[events]';
+      return;
+    }
+    if (!inEvents) return;
+
+    if (trimmed.startsWith('Format:')) {
+      fields = trimmed.slice('Format:'.length).split(',').map(f => f.trim());
+      return;
+    }
+    if (!trimmed.startsWith('Dialogue:')) return;
+
+    // Text is the last field and may itself contain commas
+    const values = trimmed.slice('Dialogue:'.length).trim().split(',');
+    const record = {};
+    fields.forEach((field, i) => {
+      record[field] = i === fields.length - 1 ? values.slice(i).join(',') : values[i];
+    });
+
+    const start = parseCaptionTime(record.Start);
+    const end = parseCaptionTime(record.End);
+    const assText = (record.Text || '').trim();
+    const text = stripCaptionMarkup(assText);
+    if (isNaN(start) || isNaN(end) || text.length === 0) return;
+
+    subtitles.push({ text, startTime: start, endTime: end, assText });
+  });
+
+  return subtitles.sort((a, b) => a.startTime - b.startTime);
+}
+
+// Detect caption format from file name or content and parse it
+function parseCaptionFile(content, filename = '') {
+  const normalized = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const ext = path.extname(filename).toLowerCase();
+
+  if (ext === '.ass' || ext === '.ssa' || /^\[Script Info\]/m.test(normalized)) return parseASS(normalized);
+  if (ext === '.vtt' || normalized.startsWith('WEBVTT')) return parseVTT(normalized);
+  return parseSRT(normalized);
+}
+
+// Import a caption file (SRT, VTT, ASS) as the subtitle source
+app.post('/api/import-subtitles', captionUpload.single('captions'), (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No caption file uploaded (SRT, VTT or ASS)' });
+    }
+
+    const subtitles = parseCaptionFile(req.file.buffer.toString('utf8'), req.file.originalname);
+    if (subtitles.length === 0) {
+      return res.status(400).json({ success: false, error: 'No cues found in caption file' });
+    }
+
+    console.log(`Imported ${subtitles.length} cues from ${req.file.originalname}`);
+
+    res.json({
+      success: true,
+      subtitles,
+      hasWordTimings: subtitles.some(sub => sub.wordTimings && sub.wordTimings.length > 0)
+    });
+
+  } catch (error) {
+    console.error('Import error:', error);
+    res.status(500).json({ success: false, error: 'Import failed', details: error.message });
+  }
+});
+
+// Speech-to-text providers
+// Every provider returns an OpenAI verbose_json style result: { text, duration, words: [{ word, start, end }], segments }
+// Pick one with STT_PROVIDER in .env: groq (default), openai (any OpenAI-compatible server), whisper-cli (local subprocess)
+
+// OpenAI-compatible /audio/transcriptions client (Groq, OpenAI, faster-whisper-server, LocalAI...)
+function createOpenAICompatibleSTT({ name, baseUrl, apiKey, model, requireKey }) {
+  return {
+    name,
+    configError: () => {
+      if (requireKey && !apiKey) return `${name} API key not configured`;
+      if (!baseUrl) return `${name} base URL not configured`;
+      return null;
+    },
+    async transcribe(audioPath, { language } = {}) {
+      // Stream the audio file from disk where supported instead of buffering it
+      const audioBlob = fs.openAsBlob
+        ? await fs.openAsBlob(audioPath, { type: 'audio/mpeg' })
+        : new Blob([fs.readFileSync(audioPath)], { type: 'audio/mpeg' });
+
+      const formData = new FormData();
+      formData.append('file', audioBlob, path.basename(audioPath));
+      formData.append('model', model);
+      formData.append('response_format', 'verbose_json');
+      formData.append('timestamp_granularities[]', 'word');
+      formData.append('timestamp_granularities[]', 'segment');
+      if (language) formData.append('language', language);
+
+      const headers = apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+      const response = await fetch(`${baseUrl.replace(/\/$/, '')}/audio/transcriptions`, {
+        method: 'POST',
+        headers,
+        body: formData
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        console.error(`${name} API error:`, errorText);
+        throw new Error(`${name} API error: ${response.status}`);
+      }
+
+      return response.json();
+    }
+  };
+}
+
+// Local Whisper CLI (openai-whisper or whisper-ctranslate2 / faster-whisper) run as a subprocess
+function createWhisperCLISTT({ command, model, language: defaultLanguage }) {
+  return {
+    name: 'whisper-cli',
+    configError: () => null,
+    async transcribe(audioPath, { language } = {}) {
+      const outputDir = fs.mkdtempSync(path.join('uploads', 'whisper-'));
+      const args = [audioPath, '--model', model, '--output_format', 'json', '--output_dir', outputDir, '--word_timestamps', 'True'];
+      if (language || defaultLanguage) args.push('--language', language || defaultLanguage);
+
+      try {
+        await new Promise((resolve, reject) => {
+          execFile(command, args, { maxBuffer: 64 * 1024 * 1024 }, (err, stdout, stderr) => {
+            if (err) {
+              console.error('Whisper CLI error:', stderr);
+              return reject(new Error(`Whisper CLI failed: ${err.code === 'ENOENT' ? `${command} not found` : err.message}`));
+            }
+            resolve();
+          });
+        });
+
+        const jsonPath = path.join(outputDir, `${path.basename(audioPath, path.extname(audioPath))}.json`);
+        const result = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+        const segments = result.segments || [];
+
+        // Whisper CLI nests words inside segments - flatten them like the API does
+        return {
+          text: result.text,
+          duration: segments.length > 0 ? segments[segments.length - 1].end : undefined,
+          words: segments.flatMap(segment => segment.words || []),
+          segments
+        };
+      } finally {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+      }
+    }
+  };
+}
+
+const STT_PROVIDERS = {
+  groq: () => createOpenAICompatibleSTT({
+    name: 'Groq',
+    baseUrl: 'https://api.groq.com/openai/v1',
+    apiKey: GROQ_API_KEY,
+    model: process.env.STT_MODEL || 'whisper-large-v3',
+    requireKey: true
+  }),
+  openai: () => createOpenAICompatibleSTT({
+    name: 'OpenAI-compatible',
+    baseUrl: process.env.STT_BASE_URL,
+    apiKey: process.env.STT_API_KEY,
+    model: process.env.STT_MODEL || 'whisper-1',
+    requireKey: false
+  }),
+  'whisper-cli': () => createWhisperCLISTT({
+    command: process.env.WHISPER_CLI || 'whisper',
+    model: process.env.WHISPER_MODEL || 'base',
+    language: process.env.WHISPER_LANGUAGE
+  })
+};
+
+function getSTTProvider(name = process.env.STT_PROVIDER || 'groq') {
+  const factory = STT_PROVIDERS[name];
+  if (!factory) throw new Error(`Unknown STT provider: ${name}`);
+  return factory();
+}
+
+// Helper function to look up a configured provider: { provider, configError }
+function loadProvider(getProvider) {
+  try {
+    const provider = getProvider();
+    return { provider, configError: provider.configError() };
+  } catch (e) {
+    return { provider: null, configError: e.message };
+  }
+}
+
+// Long audio is transcribed in overlapping chunks, cut on silence where possible
+const STT_MAX_FILE_BYTES = (parseFloat(process.env.STT_MAX_FILE_MB) || 24) * 1024 * 1024; // Groq limit is 25MB
+const STT_CHUNK_SECONDS = parseFloat(process.env.STT_CHUNK_SECONDS) || 600;
+const STT_CHUNK_OVERLAP = parseFloat(process.env.STT_CHUNK_OVERLAP) || 2;
+const STT_CHUNK_CONCURRENCY = parseInt(process.env.STT_CHUNK_CONCURRENCY) || 1;
+
+// Helper function to ffprobe a media file
+function probeMedia(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => (err ? reject(err) : resolve(metadata)));
+  });
+}
+
+// Find silent stretches with ffmpeg's silencedetect filter: [{ start, end }]
+function detectSilences(audioPath, { noise = '-35dB', minDuration = 0.4 } = {}) {
+  return new Promise((resolve, reject) => {
+    const silences = [];
+    let silenceStart = null;
+    ffmpeg(audioPath)
+      .audioFilters(`silencedetect=noise=${noise}:d=${minDuration}`)
+      .format('null')
+      .output('-')
+      .on('stderr', (line) => {
+        const start = line.match(/silence_start: ([\d.]+)/);
+        const end = line.match(/silence_end: ([\d.]+)/);
+        if (start) silenceStart = parseFloat(start[1]);
+        if (end && silenceStart !== null) {
+          silences.push({ start: silenceStart, end: parseFloat(end[1]) });
+          silenceStart = null;
+        }
+      })
+      .on('end', () => resolve(silences))
+      .on('error', reject)
+      .run();
+  });
+}
+
+// Pick cut points about every chunkSeconds, preferring the middle of a silence
+// in the second half of each window so words aren't cut in two
+function planAudioChunks(duration, silences, chunkSeconds, overlap) {
+  const cuts = [];
+  let position = 0;
+  while (duration - position > chunkSeconds) {
+    const target = position + chunkSeconds;
+    const candidates = silences
+      .map(s => (s.start + s.end) / 2)
+      .filter(mid => mid >= position + chunkSeconds / 2 && mid <= target);
+    const cut = candidates.length > 0 ? Math.max(...candidates) : target;
+    cuts.push(cut);
+    position = cut;
+  }
+
+  const bounds = [0, ...cuts, duration];
+  return bounds.slice(0, -1).map((coreStart, i) => ({
+    coreStart,
+    coreEnd: bounds[i + 1],
+    // Overlap on both sides so a word on a hard cut is heard whole by at least one chunk
+    start: Math.max(0, coreStart - overlap),
+    end: Math.min(duration, bounds[i + 1] + overlap)
+  }));
+}
+
+function extractAudioChunk(audioPath, chunkPath, start, duration) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(audioPath)
+      .setStartTime(start)
+      .setDuration(duration)
+      // Re-encode rather than stream-copy: copying cuts MP3 on frame boundaries, which would
+      // shift the chunk away from `start` and every timestamp offset along with it
+      .audioCodec('libmp3lame')
+      .audioChannels(1)
+      .audioFrequency(16000)
+      .output(chunkPath)
+      .on('end', resolve)
+      .on('error', reject)
+      .run();
+  });
+}
+
+// Shift a chunk's timestamps to the full timeline and keep only what falls in its core range
+function offsetChunkTranscription(transcription, chunk, isLast) {
+  const inCore = (start) => start >= chunk.coreStart && (isLast || start < chunk.coreEnd);
+  const shift = (item) => ({ ...item, start: item.start + chunk.start, end: item.end + chunk.start });
+
+  return {
+    words: (transcription.words || []).map(shift).filter(w => inCore(w.start)),
+    segments: (transcription.segments || []).map(shift).filter(s => inCore(s.start))
+  };
+}
+
+// Transcribe an audio file, chunking it when it is too big or too long for one request
+async function transcribeAudio(sttProvider, audioPath, { language, onProgress } = {}) {
+  const { size } = fs.statSync(audioPath);
+  const metadata = await probeMedia(audioPath);
+  const duration = metadata.format.duration || 0;
+
+  if (size <= STT_MAX_FILE_BYTES && duration <= STT_CHUNK_SECONDS) {
+    return sttProvider.transcribe(audioPath, { language });
+  }
+
+  // Scale the chunk length down if the bitrate would still put a chunk over the size limit
+  const bytesPerSecond = duration > 0 ? size / duration : 0;
+  const maxSecondsBySize = bytesPerSecond > 0 ? (STT_MAX_FILE_BYTES * 0.9) / bytesPerSecond - STT_CHUNK_OVERLAP * 2 : STT_CHUNK_SECONDS;
+  const chunkSeconds = Math.max(30, Math.min(STT_CHUNK_SECONDS, maxSecondsBySize));
+
+  const silences = await detectSilences(audioPath);
+  const chunks = planAudioChunks(duration, silences, chunkSeconds, STT_CHUNK_OVERLAP);
+  console.log(`Transcribing ${duration.toFixed(1)}s of audio in ${chunks.length} chunks (${silences.length} silences found)`);
+
+  const results = new Array(chunks.length);
+  let completed = 0;
+  let nextChunk = 0;
+
+  // Bounded pool of chunk workers
+  const worker = async () => {
+    while (nextChunk < chunks.length) {
+      const index = nextChunk++;
+      const chunk = chunks[index];
+      const ext = path.extname(audioPath);
+      const chunkPath = `${ext ? audioPath.slice(0, -ext.length) : audioPath}-chunk${index}${ext}`;
+      try {
+        await extractAudioChunk(audioPath, chunkPath, chunk.start, chunk.end - chunk.start);
+        const transcription = await sttProvider.transcribe(chunkPath, { language });
+        results[index] = offsetChunkTranscription(transcription, chunk, index === chunks.length - 1);
+      } finally {
+        if (fs.existsSync(chunkPath)) fs.unlinkSync(chunkPath);
+      }
+      completed++;
+      if (onProgress) onProgress((completed / chunks.length) * 100);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(STT_CHUNK_CONCURRENCY, chunks.length) }, worker));
+
+  // Stitch chunks - drop a word repeated right at a seam (heard by both chunks with slightly different timing)
+  // Only a chunk's first word is compared, so words genuinely repeated inside a chunk ("no no") stay
+  const normalize = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+  const words = [];
+  results.forEach(result => {
+    const [first, ...rest] = result.words;
+    const previous = words[words.length - 1];
+    const repeatedAtSeam = first && previous && normalize(previous.word) === normalize(first.word) && first.start - previous.start < 1;
+    words.push(...(repeatedAtSeam ? rest : result.words));
+  });
+  const segments = results.flatMap(result => result.segments);
+
+  return {
+    text: words.length > 0 ? words.map(w => w.word.trim()).join(' ') : segments.map(s => s.text.trim()).join(' '),
+    duration,
+    words,
+    segments
+  };
+}
+
+// Default cue segmentation rules (roughly broadcast captioning guidelines)
+const DEFAULT_SEGMENTATION_RULES = {
+  maxCharsPerLine: 42,
+  maxLines: 2,
+  minDuration: 1,          // seconds a cue stays on screen at least
+  maxDuration: 7,          // seconds before a cue must end
+  maxCPS: 17,              // reading speed: cues are held on screen for at least chars / maxCPS
+  maxGap: 0.5,             // a pause longer than this always starts a new cue
+  breakOnPunctuation: true // end cues at sentence ends (and at commas once a cue is half full)
+};
+
+// Helper function to read segmentation rules from a request body with defaults
+function resolveSegmentationRules(body = {}) {
+  const number = (value, fallback) => (isNaN(parseFloat(value)) ? fallback : parseFloat(value));
+  const defaults = DEFAULT_SEGMENTATION_RULES;
+  return {
+    maxCharsPerLine: Math.max(10, number(body.maxCharsPerLine, defaults.maxCharsPerLine)),
+    maxLines: Math.max(1, Math.round(number(body.maxLines, defaults.maxLines))),
+    minDuration: Math.max(0, number(body.minDuration, defaults.minDuration)),
+    maxDuration: Math.max(1, number(body.maxDuration, defaults.maxDuration)),
+    maxCPS: Math.max(1, number(body.maxCPS, defaults.maxCPS)),
+    maxGap: Math.max(0, number(body.maxGap, defaults.maxGap)),
+    breakOnPunctuation: body.breakOnPunctuation === undefined ? defaults.breakOnPunctuation : body.breakOnPunctuation !== false && body.breakOnPunctuation !== 'false'
+  };
+}
+
+// Wrap cue words into at most a few lines of maxCharsPerLine, balancing two-line cues
+function wrapCueLines(words, maxCharsPerLine) {
+  const text = words.join(' ');
+  if (text.length <= maxCharsPerLine) return [text];
+
+  // Two lines: pick the split with the shortest longest line (bottom-heavy on ties)
+  let best = null;
+  for (let i = 1; i < words.length; i++) {
+    const first = words.slice(0, i).join(' ');
+    const second = words.slice(i).join(' ');
+    const longest = Math.max(first.length, second.length);
+    if (longest <= maxCharsPerLine && (!best || longest < best.longest || (longest === best.longest && second.length >= first.length))) {
+      best = { lines: [first, second], longest };
+    }
+  }
+  if (best) return best.lines;
+
+  // Longer than two lines - fill greedily
+  const lines = [];
+  words.forEach(word => {
+    const last = lines[lines.length - 1];
+    if (last !== undefined && (last + ' ' + word).length <= maxCharsPerLine) {
+      lines[lines.length - 1] = `${last} ${word}`;
+    } else {
+      lines.push(word);
+    }
+  });
+  return lines;
+}
+
+// Group timed words into subtitle cues following the segmentation rules
+// A change of speaker (diarized words) always starts a new cue
+function segmentWords(words, rules) {
+  const maxChars = rules.maxCharsPerLine * rules.maxLines;
+  const cues = [];
+  let current = [];
+
+  const cueText = (cueWords) => cueWords.map(w => w.word).join(' ');
+  const flush = () => {
+    if (current.length === 0) return;
+    cues.push(current);
+    current = [];
+  };
+
+  words.forEach(word => {
+    if (current.length > 0) {
+      const first = current[0];
+      const last = current[current.length - 1];
+      const currentDuration = last.end - first.start;
+      const candidate = [...current, word];
+      const candidateText = cueText(candidate);
+      const candidateDuration = word.end - first.start;
+      const longEnough = currentDuration >= rules.minDuration;
+
+      const breakBefore =
+        word.speaker !== last.speaker ||
+        word.start - last.end > rules.maxGap ||
+        candidateText.length > maxChars ||
+        wrapCueLines(candidate.map(w => w.word), rules.maxCharsPerLine).length > rules.maxLines ||
+        candidateDuration > rules.maxDuration ||
+        (rules.breakOnPunctuation && longEnough && /[.?!…]["')\]]*$/.test(last.word)) ||
+        (rules.breakOnPunctuation && longEnough && /[,;:]["')\]]*$/.test(last.word) && cueText(current).length >= maxChars / 2);
+
+      if (breakBefore) flush();
+    }
+    current.push(word);
+  });
+  flush();
+
+  return cues.map((cueWords, index) => {
+    const startTime = cueWords[0].start;
+    let endTime = cueWords[cueWords.length - 1].end;
+
+    // Hold cues on screen long enough to read (minDuration and maxCPS), without running into the next cue
+    const text = cueText(cueWords);
+    const readingTime = Math.min(rules.maxDuration, Math.max(rules.minDuration, text.length / rules.maxCPS));
+    if (endTime - startTime < readingTime) {
+      const nextStart = cues[index + 1] ? cues[index + 1][0].start : Infinity;
+      endTime = Math.max(endTime, Math.min(startTime + readingTime, nextStart));
+    }
+
+    return {
+      text,
+      startTime,
+      endTime,
+      lines: wrapCueLines(cueWords.map(w => w.word), rules.maxCharsPerLine),
+      wordTimings: cueWords,
+      ...(cueWords[0].speaker ? { speaker: cueWords[0].speaker } : {})
+    };
+  });
+}
+
+// Convert a transcription result to our subtitle format with word-level timing
+function transcriptionToSubtitles(transcription, rules = resolveSegmentationRules()) {
+  const subtitles = [];
+
+  if (transcription.words && transcription.words.length > 0) {
+    // Use word-level timestamps for precise sync
+    // Clean the words - remove any special characters, newlines, etc.
+    const words = transcription.words
+      .map(word => ({
+        word: word.word.replace(/[\n\r\\]/g, '').trim(),
+        start: word.start,
+        end: word.end,
+        ...(word.speaker ? { speaker: word.speaker } : {})
+      }))
+      .filter(word => word.word.length > 0); // Skip empty words
+
+    subtitles.push(...segmentWords(words, rules));
+  } else if (transcription.segments) {
+    // Fallback to segment-level timestamps
+    transcription.segments.forEach((segment) => {
+      const cleanText = segment.text.trim().replace(/[\n\r\\]/g, '');
+      if (cleanText.length > 0) {
+        subtitles.push({
+          text: cleanText,
+          startTime: segment.start,
+          endTime: segment.end,
+          ...(segment.speaker ? { speaker: segment.speaker } : {})
+        });
+      }
+    });
+  } else if (transcription.text) {
+    // Final fallback: single subtitle
+    subtitles.push({
+      text: transcription.text.trim(),
+      startTime: 0,
+      endTime: transcription.duration || 10
+    });
+  }
+
+  return subtitles;
+}
+
+// Translation providers
+// Every provider has translate(texts, { targetLanguage, sourceLanguage }) -> array of translated strings (same order)
+// Pick one with TRANSLATE_PROVIDER in .env: openai (any OpenAI-compatible chat endpoint, default) or mock (local stand-in)
+const TRANSLATE_BATCH_SIZE = parseInt(process.env.TRANSLATE_BATCH_SIZE) || 40;
+
+// Human-readable language name for prompts ("es" -> "Spanish")
+function languageName(code) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+  } catch (e) {
+    return code;
+  }
+}
+
+// OpenAI-compatible /chat/completions client (Groq, OpenAI, Ollama, LM Studio...)
+function createChatTranslator({ baseUrl, apiKey, model }) {
+  const complete = async (messages) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+    const response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ model, messages, temperature: 0 })
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error('Translation API error:', errorText);
+      throw new Error(`Translation API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.choices[0].message.content;
+  };
+
+  return {
+    name: 'openai',
+    configError: () => (baseUrl ? null : 'Translation base URL not configured'),
+    async translate(texts, { targetLanguage, sourceLanguage }) {
+      const from = sourceLanguage ? ` from ${languageName(sourceLanguage)}` : '';
+      const content = await complete([
+        {
+          role: 'system',
+          content: `You translate video subtitles${from} into ${languageName(targetLanguage)}. ` +
+            'You receive a JSON array of subtitle lines. Reply with only a JSON object {"translations": [...]} ' +
+            'holding exactly one translated string per input line, in the same order. Keep each line short enough to read as a caption.'
+        },
+        { role: 'user', content: JSON.stringify(texts) }
+      ]);
+
+      const match = content.match(/\{[\s\S]*\}/);
+      const translations = match ? JSON.parse(match[0]).translations : null;
+      if (!Array.isArray(translations) || translations.length !== texts.length) {
+        throw new Error('Translation provider returned a different number of lines');
+      }
+      return translations.map(String);
+    }
+  };
+}
+
+const TRANSLATE_PROVIDERS = {
+  openai: () => createChatTranslator({
+    baseUrl: process.env.TRANSLATE_BASE_URL || (GROQ_API_KEY ? 'https://api.groq.com/openai/v1' : ''),
+    apiKey: process.env.TRANSLATE_API_KEY || GROQ_API_KEY,
+    model: process.env.TRANSLATE_MODEL || 'llama-3.3-70b-versatile'
+  }),
+  // Offline stand-in for tests: tags each line with the target language
+  mock: () => ({
+    name: 'mock',
+    configError: () => null,
+    translate: async (texts, { targetLanguage }) => texts.map(text => `[${targetLanguage}] ${text}`)
+  })
+};
+
+function getTranslateProvider(name = process.env.TRANSLATE_PROVIDER || 'openai') {
+  const factory = TRANSLATE_PROVIDERS[name];
+  if (!factory) throw new Error(`Unknown translation provider: ${name}`);
+  return factory();
+}
 
-    // Read audio file and send to Groq Whisper API
-    const audioBuffer = fs.readFileSync(audioPath);
-    const audioBlob = new Blob([audioBuffer], { type: 'audio/mp3' });
+// Translate cue text in batches, keeping the original timing
+// Word timings can't be mapped onto translated text, so they are dropped and word effects use estimated timings
+async function translateSubtitles(translator, subtitles, { targetLanguage, sourceLanguage, onProgress } = {}) {
+  const translated = [];
+  for (let i = 0; i < subtitles.length; i += TRANSLATE_BATCH_SIZE) {
+    const batch = subtitles.slice(i, i + TRANSLATE_BATCH_SIZE);
+    const texts = batch.map(sub => sub.text);
 
-    const formData = new FormData();
-    formData.append('file', audioBlob, 'audio.mp3');
-    formData.append('model', 'whisper-large-v3');
-    formData.append('response_format', 'verbose_json');
-    formData.append('timestamp_granularities[]', 'word');
-    formData.append('timestamp_granularities[]', 'segment');
+    let translations;
+    try {
+      translations = await translator.translate(texts, { targetLanguage, sourceLanguage });
+    } catch (err) {
+      // A batch that comes back misaligned is retried one line at a time
+      console.warn(`Batch translation failed (${err.message}), retrying line by line`);
+      translations = [];
+      for (const text of texts) {
+        const [line] = await translator.translate([text], { targetLanguage, sourceLanguage });
+        translations.push(line);
+      }
+    }
 
-    const response = await fetch('https://api.groq.com/openai/v1/audio/transcriptions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${GROQ_API_KEY}`
-      },
-      body: formData
+    batch.forEach((sub, j) => {
+      translated.push({
+        text: translations[j].replace(/[\n\r\\]/g, ' ').replace(/\s+/g, ' ').trim(),
+        startTime: sub.startTime,
+        endTime: sub.endTime,
+        sourceText: sub.text,
+        ...(sub.speaker ? { speaker: sub.speaker } : {})
+      });
     });
+    if (onProgress) onProgress((translated.length / subtitles.length) * 100);
+  }
+  return translated;
+}
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('Groq API error:', errorText);
-      throw new Error(`Groq API error: ${response.status}`);
+// Helper function to read a list of target languages ("es,hi" or ["es", "hi"])
+function parseLanguageList(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(list.map(code => String(code).trim()).filter(code => code.length > 0))];
+}
+
+// Translate subtitles into one or more languages (runs as a background job)
+app.post('/api/translate-subtitles', upload.none(), (req, res) => {
+  try {
+    const targetLanguages = parseLanguageList(req.body.targetLanguages || req.body.targetLanguage);
+    if (targetLanguages.length === 0) {
+      return res.status(400).json({ success: false, error: 'No target language provided' });
+    }
+
+    let subtitleData;
+    try {
+      subtitleData = parseSubtitlePayload(req.body.subtitles);
+    } catch (e) {
+      return res.status(400).json({ success: false, error: 'Invalid subtitle format' });
+    }
+    if (subtitleData.length === 0) {
+      return res.status(400).json({ success: false, error: 'No valid subtitles provided' });
     }
 
-    const transcription = await response.json();
-    console.log('Transcription received:', transcription);
+    const { provider: translator, configError } = loadProvider(getTranslateProvider);
+    if (configError) {
+      return res.status(500).json({ success: false, error: configError });
+    }
 
-    // Clean up files
-    if (fs.existsSync(videoPath)) fs.unlinkSync(videoPath);
-    if (fs.existsSync(audioPath)) fs.unlinkSync(audioPath);
+    const job = createJob('translate', async (job) => {
+      const translations = {};
+      for (const targetLanguage of targetLanguages) {
+        setJobStage(job, 'translating');
+        translations[targetLanguage] = await translateSubtitles(translator, subtitleData, {
+          targetLanguage,
+          sourceLanguage: req.body.sourceLanguage,
+          onProgress: (percent) => updateJobProgress(job, percent)
+        });
+      }
+      return { translations };
+    });
 
-    // Convert Groq response to our subtitle format with word-level timing
-    const subtitles = [];
+    res.status(202).json({ success: true, jobId: job.id, statusUrl: `/api/jobs/${job.id}`, eventsUrl: `/api/jobs/${job.id}/events` });
 
-    if (transcription.words && transcription.words.length > 0) {
-      // Use word-level timestamps for precise sync
-      // Group words into subtitle segments (roughly 5-8 words per segment)
-      const wordsPerSegment = 6;
-      let currentSegment = { words: [], startTime: null, endTime: null };
+  } catch (error) {
+    console.error('Translation error:', error);
+    res.status(500).json({ success: false, error: 'Translation failed', details: error.message });
+  }
+});
 
-      transcription.words.forEach((word, index) => {
-        if (currentSegment.startTime === null) {
-          currentSegment.startTime = word.start;
-        }
-        // Clean the word - remove any special characters, newlines, etc.
-        const cleanWord = word.word.replace(/[\n\r\\]/g, '').trim();
-        if (cleanWord.length === 0) return; // Skip empty words
-
-        currentSegment.words.push({
-          word: cleanWord,
-          start: word.start,
-          end: word.end
-        });
-        currentSegment.endTime = word.end;
-
-        // Create new segment every N words or at natural pauses (gaps > 0.5s)
-        const nextWord = transcription.words[index + 1];
-        const isLastWord = index === transcription.words.length - 1;
-        const hasLongPause = nextWord && (nextWord.start - word.end > 0.5);
-
-        if (isLastWord || currentSegment.words.length >= wordsPerSegment || hasLongPause) {
-          // Create clean text without any escape characters
-          const cleanText = currentSegment.words.map(w => w.word).join(' ').trim().replace(/[\n\r\\]/g, '');
-          if (cleanText.length > 0) {
-            subtitles.push({
-              text: cleanText,
-              startTime: currentSegment.startTime,
-              endTime: currentSegment.endTime,
-              wordTimings: currentSegment.words
-            });
-          }
-          currentSegment = { words: [], startTime: null, endTime: null };
-        }
+// Speaker diarization providers
+// Every provider has diarize(audioPath, { words, segments, speakers }) -> speaker turns [{ start, end, speaker }]
+// Pick one with DIARIZE_PROVIDER in .env: http (a diarization server, e.g. pyannote behind a small API) or local (stand-in)
+const DIARIZE_TURN_GAP = parseFloat(process.env.DIARIZE_TURN_GAP) || 1.2;
+
+// POSTs the audio to DIARIZE_BASE_URL/diarize and expects { segments: [{ start, end, speaker }] }
+function createHTTPDiarizer({ baseUrl, apiKey }) {
+  return {
+    name: 'http',
+    configError: () => (baseUrl ? null : 'Diarization base URL not configured'),
+    async diarize(audioPath, { speakers } = {}) {
+      const audioBlob = fs.openAsBlob
+        ? await fs.openAsBlob(audioPath, { type: 'audio/mpeg' })
+        : new Blob([fs.readFileSync(audioPath)], { type: 'audio/mpeg' });
+
+      const formData = new FormData();
+      formData.append('file', audioBlob, path.basename(audioPath));
+      if (speakers) formData.append('num_speakers', String(speakers));
+
+      const headers = apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+      const response = await fetch(`${baseUrl.replace(/\/$/, '')}/diarize`, {
+        method: 'POST',
+        headers,
+        body: formData
       });
-    } else if (transcription.segments) {
-      // Fallback to segment-level timestamps
-      transcription.segments.forEach((segment) => {
-        const cleanText = segment.text.trim().replace(/[\n\r\\]/g, '');
-        if (cleanText.length > 0) {
-          subtitles.push({
-            text: cleanText,
-            startTime: segment.start,
-            endTime: segment.end
-          });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        console.error('Diarization API error:', errorText);
+        throw new Error(`Diarization API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return (data.segments || []).map(turn => ({ start: turn.start, end: turn.end, speaker: String(turn.speaker) }));
+    }
+  };
+}
+
+const DIARIZE_PROVIDERS = {
+  http: () => createHTTPDiarizer({
+    baseUrl: process.env.DIARIZE_BASE_URL,
+    apiKey: process.env.DIARIZE_API_KEY
+  }),
+  // Offline stand-in: doesn't listen to voices - every pause of DIARIZE_TURN_GAP seconds hands the turn
+  // to the next speaker in rotation. Enough to try per-speaker styling, not to tell real speakers apart
+  local: () => ({
+    name: 'local',
+    configError: () => null,
+    diarize: async (audioPath, { words = [], segments = [], speakers = 2 }) => {
+      const items = words.length > 0 ? words : segments;
+      const turns = [];
+      items.forEach(item => {
+        const last = turns[turns.length - 1];
+        if (last && item.start - last.end < DIARIZE_TURN_GAP) {
+          last.end = item.end;
+        } else {
+          const index = last ? (parseInt(last.speaker.slice(-2)) + 1) % speakers : 0;
+          turns.push({ start: item.start, end: item.end, speaker: `SPEAKER_${String(index).padStart(2, '0')}` });
         }
       });
-    } else if (transcription.text) {
-      // Final fallback: single subtitle
-      subtitles.push({
-        text: transcription.text.trim(),
-        startTime: 0,
-        endTime: transcription.duration || 10
-      });
+      return turns;
     }
+  })
+};
 
-    console.log(`Generated ${subtitles.length} subtitle segments with word-level timing`);
+function getDiarizeProvider(name = process.env.DIARIZE_PROVIDER || 'local') {
+  const factory = DIARIZE_PROVIDERS[name];
+  if (!factory) throw new Error(`Unknown diarization provider: ${name}`);
+  return factory();
+}
 
-    res.json({
-      success: true,
-      subtitles,
-      fullText: transcription.text,
-      hasWordTimings: !!(transcription.words && transcription.words.length > 0)
+// Helper function to tag words or segments with the speaker turn they overlap most (the nearest turn if none)
+function assignSpeakers(items, turns) {
+  if (!items || turns.length === 0) return items;
+  return items.map(item => {
+    let best = null;
+    let bestOverlap = -Infinity;
+    turns.forEach(turn => {
+      const overlap = Math.min(item.end, turn.end) - Math.max(item.start, turn.start);
+      if (overlap > bestOverlap) {
+        best = turn;
+        bestOverlap = overlap;
+      }
     });
+    return { ...item, speaker: best.speaker };
+  });
+}
+
+// Helper function to queue audio extraction, transcription and optional translation of a video
+function queueTranscribeJob(videoPath, body, { sttProvider, translator, translateTo = [], diarizer = null, keepVideo = false, onResult } = {}) {
+  const audioPath = path.join('uploads', `audio-${uniqueId()}.mp3`);
+  const segmentationRules = resolveSegmentationRules(body);
+
+  return createJob('transcribe', async (job) => {
+    try {
+      setJobStage(job, 'extracting-audio');
+      console.log('Extracting audio from video...');
+
+      // Extract audio from video using ffmpeg
+      await new Promise((resolve, reject) => {
+        ffmpeg(videoPath)
+          .toFormat('mp3')
+          .audioCodec('libmp3lame')
+          .audioChannels(1)
+          .audioFrequency(16000)
+          .output(audioPath)
+          .on('progress', (progress) => updateJobProgress(job, progress.percent))
+          .on('end', resolve)
+          .on('error', reject)
+          .run();
+      });
+
+      setJobStage(job, 'transcribing');
+      console.log(`Audio extracted, sending to ${sttProvider.name}...`);
+
+      let transcription = await transcribeAudio(sttProvider, audioPath, {
+        language: body.language,
+        onProgress: (percent) => updateJobProgress(job, percent)
+      });
+      // A summary only - the full transcript of a long file would flood the log
+      console.log(`Transcription received: ${(transcription.words || []).length} words, ${(transcription.segments || []).length} segments, ${transcription.duration ? `${Number(transcription.duration).toFixed(1)}s` : 'unknown duration'}`);
+
+      let speakers;
+      if (diarizer) {
+        setJobStage(job, 'diarizing');
+        console.log(`Finding speakers with ${diarizer.name}...`);
+        const turns = await diarizer.diarize(audioPath, {
+          words: transcription.words,
+          segments: transcription.segments,
+          speakers: parseInt(body.speakers) || undefined
+        });
+        transcription = {
+          ...transcription,
+          words: assignSpeakers(transcription.words, turns),
+          segments: assignSpeakers(transcription.segments, turns)
+        };
+        speakers = [...new Set(turns.map(turn => turn.speaker))].sort();
+        console.log(`Found ${speakers.length} speakers in ${turns.length} turns`);
+      }
+
+      const subtitles = transcriptionToSubtitles(transcription, segmentationRules);
+      console.log(`Generated ${subtitles.length} subtitle segments with word-level timing`);
+
+      const translations = {};
+      for (const targetLanguage of translateTo) {
+        setJobStage(job, 'translating');
+        console.log(`Translating ${subtitles.length} cues to ${targetLanguage}...`);
+        translations[targetLanguage] = await translateSubtitles(translator, subtitles, {
+          targetLanguage,
+          sourceLanguage: body.language,
+          onProgress: (percent) => updateJobProgress(job, percent)
+        });
+      }
+
+      const result = {
+        subtitles,
+        fullText: transcription.text,
+        hasWordTimings: !!(transcription.words && transcription.words.length > 0),
+        ...(speakers ? { speakers } : {}),
+        ...(translateTo.length > 0 ? { translations } : {})
+      };
+      if (onResult) onResult(result);
+      return result;
+    } finally {
+      // Clean up files
+      if (!keepVideo && fs.existsSync(videoPath)) fs.unlinkSync(videoPath);
+      if (fs.existsSync(audioPath)) fs.unlinkSync(audioPath);
+    }
+  });
+}
+
+// Speech-to-Text endpoint using the configured STT provider
+// Runs as a background job - returns a jobId, the subtitles arrive in the job result
+app.post('/api/transcribe', upload.single('video'), async (req, res) => {
+  try {
+    const { videoPath, keepVideo, status, error } = resolveVideoInput(req);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    const { provider: sttProvider, configError } = loadProvider(getSTTProvider);
+    if (configError) {
+      discardUpload(req);
+      return res.status(500).json({ success: false, error: configError });
+    }
+
+    // Optional translation of the finished cues, e.g. translateTo=es,hi
+    const translateTo = parseLanguageList(req.body.translateTo);
+    const { provider: translator, configError: translateConfigError } = translateTo.length > 0
+      ? loadProvider(getTranslateProvider)
+      : { provider: null, configError: null };
+    if (translateConfigError) {
+      discardUpload(req);
+      return res.status(500).json({ success: false, error: translateConfigError });
+    }
+
+    // Optional speaker labels on every cue (diarize=true)
+    const { provider: diarizer, configError: diarizeConfigError } = (req.body.diarize === true || req.body.diarize === 'true')
+      ? loadProvider(getDiarizeProvider)
+      : { provider: null, configError: null };
+    if (diarizeConfigError) {
+      discardUpload(req);
+      return res.status(500).json({ success: false, error: diarizeConfigError });
+    }
+
+    const job = queueTranscribeJob(videoPath, req.body, { sttProvider, translator, translateTo, diarizer, keepVideo });
+
+    res.status(202).json({ success: true, jobId: job.id, statusUrl: `/api/jobs/${job.id}`, eventsUrl: `/api/jobs/${job.id}/events` });
 
   } catch (error) {
     console.error('Transcription error:', error);
@@ -1392,6 +3796,642 @@ app.post('/api/transcribe', upload.single('video'), async (req, res) => {
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
+// ===== Batches =====
+// Transcribe and render many videos with one set of style settings. A batch is not a job itself (it would
+// hold a job slot while waiting for its own jobs); a bounded pool of workers feeds items to the job queue
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY) || 2;
+const BATCH_MAX_ITEMS = 100;
+const batches = new Map();
+
+function serializeBatch(batch) {
+  const counts = { queued: 0, running: 0, done: 0, failed: 0 };
+  batch.items.forEach(item => counts[item.status]++);
+  return {
+    id: batch.id,
+    status: batch.status,
+    counts,
+    items: batch.items.map(({ videoPath, upload, captions, ...item }) => item),
+    bundleUrl: batch.bundleUrl,
+    error: batch.error,
+    createdAt: batch.createdAt,
+    finishedAt: batch.finishedAt
+  };
+}
+
+// Helper function to give every file in the bundle a distinct name (clip.mp4, clip-2.mp4, ...)
+function uniqueEntryName(name, taken) {
+  const ext = path.extname(name);
+  const base = name.slice(0, name.length - ext.length);
+  let candidate = name;
+  for (let n = 2; taken.has(candidate); n++) candidate = `${base}-${n}${ext}`;
+  taken.add(candidate);
+  return candidate;
+}
+
+// Write a zip of { name, path } (stored as is - videos don't compress) and { name, content } entries
+function writeZip(zipPath, entries) {
+  return new Promise((resolve, reject) => {
+    const zip = new yazl.ZipFile();
+    // Reading an entry fails here, e.g. when an output was deleted before bundling
+    zip.on('error', reject);
+    entries.forEach(entry => {
+      if (entry.path) zip.addFile(entry.path, entry.name, { compress: false });
+      else zip.addBuffer(Buffer.from(entry.content, 'utf8'), entry.name);
+    });
+    zip.outputStream.pipe(fs.createWriteStream(zipPath))
+      .on('close', resolve)
+      .on('error', reject);
+    zip.end();
+  });
+}
+
+// Transcribe then render one item, recording its stage and job progress as it goes
+async function runBatchItem(item, body, { sttProvider, diarizer, captionFormats }) {
+  const follow = (state) => {
+    item.stage = state.stage;
+    item.progress = state.progress;
+  };
+
+  const transcribeJob = queueTranscribeJob(item.videoPath, body, { sttProvider, diarizer, keepVideo: true });
+  item.jobId = transcribeJob.id;
+  const { subtitles } = await waitForJobResult(transcribeJob, follow);
+  if (subtitles.length === 0) throw new Error('No speech found');
+
+  const renderBody = { ...body, subtitles };
+  const tracks = parseSubtitleTracks(renderBody);
+  item.captions = captionFormats.map(format => ({
+    format,
+    content: CAPTION_FORMATS[format].generate(tracks[0].subtitles, tracks[0].options)
+  }));
+
+  const renderJob = queueRenderJob(item.videoPath, tracks, renderBody, { keepVideo: true });
+  if (!renderJob) throw new Error('No subtitles to render');
+  item.jobId = renderJob.id;
+  const result = await waitForJobResult(renderJob, follow);
+  item.outputUrl = result.outputUrl;
+  item.cueCount = subtitles.length;
+}
+
+async function runBatch(batch, body, providers) {
+  let nextItem = 0;
+  // Bounded pool of item workers - each item's FFmpeg work still waits its turn in the job queue
+  const worker = async () => {
+    while (nextItem < batch.items.length) {
+      const item = batch.items[nextItem++];
+      item.status = 'running';
+      const stored = item.mediaId && loadMedia(item.mediaId);
+      if (stored) touchMedia(stored);
+      try {
+        await runBatchItem(item, body, providers);
+        item.status = 'done';
+        item.stage = 'done';
+        item.progress = 100;
+      } catch (err) {
+        console.error(`Batch ${batch.id} item ${item.name} failed:`, err);
+        item.status = 'failed';
+        item.stage = 'failed';
+        item.error = err.message;
+      } finally {
+        if (item.upload && fs.existsSync(item.videoPath)) fs.unlinkSync(item.videoPath);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(BATCH_CONCURRENCY, batch.items.length) }, worker));
+
+  // Bundle the finished videos with their caption files
+  const done = batch.items.filter(item => item.status === 'done');
+  if (done.length > 0) {
+    batch.status = 'bundling';
+    const taken = new Set();
+    const entries = done.flatMap(item => {
+      const base = path.basename(item.name, path.extname(item.name));
+      const outputPath = path.join('outputs', path.basename(item.outputUrl));
+      return [
+        { name: uniqueEntryName(`${base}.subtitled${path.extname(outputPath)}`, taken), path: outputPath },
+        ...item.captions.map(caption => ({ name: uniqueEntryName(`${base}.${caption.format}`, taken), content: caption.content }))
+      ];
+    });
+    const bundlePath = path.join('outputs', `batch-${batch.id}.zip`);
+    try {
+      await writeZip(bundlePath, entries);
+      batch.bundleUrl = `/outputs/${path.basename(bundlePath)}`;
+    } catch (err) {
+      console.error(`Batch ${batch.id} bundle failed:`, err);
+      batch.error = `Bundle failed: ${err.message}`;
+    }
+  }
+  done.forEach(item => delete item.captions);
+
+  batch.status = 'done';
+  batch.finishedAt = Date.now();
+  setTimeout(() => batches.delete(batch.id), JOB_RETENTION_MS).unref();
+}
+
+// Helper function to read `mediaIds` as a JSON array or a comma-separated list
+function parseMediaIds(value) {
+  if (!value) return [];
+  const ids = Array.isArray(value) ? value : String(value).trim().startsWith('[') ? JSON.parse(value) : String(value).split(',');
+  return ids.map(id => String(id).trim()).filter(Boolean);
+}
+
+// Start a batch from uploaded `videos` and/or stored `mediaIds` plus the usual style fields
+// Multer rejects a file past the limit itself - answer with the same JSON error as too many media IDs
+function batchUpload(req, res, next) {
+  upload.array('videos', BATCH_MAX_ITEMS)(req, res, (err) => {
+    if (err instanceof multer.MulterError && err.code === 'LIMIT_UNEXPECTED_FILE') {
+      const error = err.field === 'videos'
+        ? `A batch can hold at most ${BATCH_MAX_ITEMS} videos`
+        : `Unexpected file field "${err.field}" - send the videos as "videos"`;
+      return res.status(400).json({ success: false, error });
+    }
+    next(err);
+  });
+}
+
+app.post('/api/batches', batchUpload, (req, res) => {
+  const uploads = req.files || [];
+  const discardUploads = () => uploads.forEach(file => {
+    if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+  });
+
+  try {
+    let mediaIds;
+    try {
+      mediaIds = parseMediaIds(req.body.mediaIds);
+    } catch (e) {
+      discardUploads();
+      return res.status(400).json({ success: false, error: 'mediaIds must be a JSON array or a comma-separated list' });
+    }
+    const media = mediaIds.map(id => loadMedia(id));
+    const missing = mediaIds.find((id, index) => !media[index] || !fs.existsSync(mediaPath(media[index])));
+    if (missing) {
+      discardUploads();
+      return res.status(404).json({ success: false, error: 'Media not found - upload the video again', details: missing });
+    }
+
+    const items = [
+      ...uploads.map(file => ({ name: file.originalname, videoPath: file.path, upload: true })),
+      ...media.map(stored => ({ name: stored.originalName, mediaId: stored.id, videoPath: mediaPath(stored), upload: false }))
+    ];
+    if (items.length === 0) {
+      return res.status(400).json({ success: false, error: 'No videos provided' });
+    }
+    if (items.length > BATCH_MAX_ITEMS) {
+      discardUploads();
+      return res.status(400).json({ success: false, error: `A batch can hold at most ${BATCH_MAX_ITEMS} videos` });
+    }
+
+    // Every item gets its own transcribed cues, which `tracks` would replace
+    if (req.body.tracks) {
+      discardUploads();
+      return res.status(400).json({ success: false, error: 'Batches take style fields, not tracks' });
+    }
+
+    const body = applyStylePreset(req.body);
+    if (!body) {
+      discardUploads();
+      return res.status(404).json(presetNotFound(req.body.preset));
+    }
+
+    // Check the settings once up front rather than failing every item the same way
+    let captionFormats;
+    try {
+      captionFormats = String(body.captionFormats || 'srt').split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+      const unknown = captionFormats.find(format => !CAPTION_FORMATS[format]);
+      if (unknown) throw new Error(`Unsupported caption format: ${unknown}. Use srt, vtt or ass`);
+      const missingFont = body.outputMode === 'soft' ? null : findMissingFont(parseSubtitleTracks({ ...body, subtitles: [] }));
+      if (missingFont) {
+        discardUploads();
+        return res.status(400).json(missingFontError(missingFont));
+      }
+    } catch (e) {
+      discardUploads();
+      return res.status(400).json({ success: false, error: 'Invalid style settings', details: e.message });
+    }
+
+    const { provider: sttProvider, configError } = loadProvider(getSTTProvider);
+    const { provider: diarizer, configError: diarizeConfigError } = (body.diarize === true || body.diarize === 'true')
+      ? loadProvider(getDiarizeProvider)
+      : { provider: null, configError: null };
+    if (configError || diarizeConfigError) {
+      discardUploads();
+      return res.status(500).json({ success: false, error: configError || diarizeConfigError });
+    }
+
+    const batch = {
+      id: uniqueId(),
+      status: 'running',
+      items: items.map((item, index) => ({ index, ...item, status: 'queued', stage: 'queued', progress: 0, jobId: null, outputUrl: null, error: null })),
+      bundleUrl: null,
+      error: null,
+      createdAt: Date.now(),
+      finishedAt: null
+    };
+    batches.set(batch.id, batch);
+    // Keep stored videos from being pruned while they wait in the batch
+    media.forEach(touchMedia);
+    console.log(`Batch ${batch.id}: ${items.length} videos, ${BATCH_CONCURRENCY} at a time`);
+    runBatch(batch, body, { sttProvider, diarizer, captionFormats }).catch((err) => {
+      console.error(`Batch ${batch.id} failed:`, err);
+      batch.status = 'failed';
+      batch.error = err.message;
+      batch.finishedAt = Date.now();
+      setTimeout(() => batches.delete(batch.id), JOB_RETENTION_MS).unref();
+    });
+
+    res.status(202).json({ success: true, batchId: batch.id, statusUrl: `/api/batches/${batch.id}`, items: items.length });
+
+  } catch (error) {
+    console.error('Batch error:', error);
+    discardUploads();
+    res.status(500).json({ success: false, error: 'Server error', details: error.message });
+  }
+});
+
+app.get('/api/batches/:id', (req, res) => {
+  const batch = batches.get(req.params.id);
+  if (!batch) {
+    return res.status(404).json({ success: false, error: 'Batch not found' });
+  }
+  res.json({ success: true, batch: serializeBatch(batch) });
+});
+
+// ===== Subtitle projects =====
+// A project keeps the source video, cue list (with word timings) and style settings on disk
+// so an editor can close the page and pick up where they left off: projects/<id>/project.json
+const PROJECTS_DIR = 'projects';
+// Request fields saved as project settings and replayed on every render
+const PROJECT_SETTING_FIELDS = [...TRACK_STYLE_FIELDS, 'language', 'trackTitle', 'outputMode', 'container', 'subtitleFormat', 'speakerStyles', 'preset'];
+
+function projectDir(id) {
+  // IDs are generated by us - reject anything that could escape the projects directory
+  if (!/^[\w-]+$/.test(String(id))) return null;
+  return path.join(PROJECTS_DIR, id);
+}
+
+function loadProject(id) {
+  const dir = projectDir(id);
+  const file = dir && path.join(dir, 'project.json');
+  if (!file || !fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function saveProject(project) {
+  const dir = projectDir(project.id);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  project.updatedAt = new Date().toISOString();
+  // Write then rename so a crash mid-write never leaves a truncated project
+  const file = path.join(dir, 'project.json');
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(project, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+  return project;
+}
+
+// Re-read the project before changing it so job callbacks don't overwrite edits made meanwhile
+function updateProject(id, update) {
+  const project = loadProject(id);
+  if (!project) return null;
+  update(project);
+  return saveProject(project);
+}
+
+function projectVideoPath(project) {
+  return project.video ? path.join(projectDir(project.id), project.video.filename) : null;
+}
+
+function pickProjectSettings(body) {
+  const settings = {};
+  PROJECT_SETTING_FIELDS.forEach(field => {
+    if (body[field] !== undefined && body[field] !== '') settings[field] = body[field];
+  });
+  return settings;
+}
+
+// Helper function to store a cue with numeric times, keeping word timings/lines/assText/speaker/overrides if present
+function normalizeProjectCue(cue) {
+  const normalized = {
+    text: cue.text,
+    startTime: parseFloat(cue.startTime),
+    endTime: parseFloat(cue.endTime)
+  };
+  ['lines', 'assText', 'wordTimings', 'speaker'].forEach(field => {
+    if (cue[field] !== undefined) normalized[field] = cue[field];
+  });
+  const overrides = pickCueOverrides(cue.overrides);
+  if (overrides) normalized.overrides = overrides;
+  return normalized;
+}
+
+function sortCues(cues) {
+  return cues.sort((a, b) => a.startTime - b.startTime);
+}
+
+// Helper function to apply an edit to one cue without leaving stale derived data behind
+function applyCueEdit(cue, changes) {
+  const edited = { ...cue };
+
+  if (typeof changes.text === 'string' && changes.text !== cue.text) {
+    edited.text = changes.text;
+    delete edited.lines;
+    delete edited.assText;
+    // Spelling fixes keep the STT timings; adding or removing words falls back to estimates
+    const words = changes.text.split(/\s+/).filter(w => w.length > 0);
+    if (edited.wordTimings && edited.wordTimings.length === words.length) {
+      edited.wordTimings = edited.wordTimings.map((wt, i) => ({ ...wt, word: words[i] }));
+    } else {
+      delete edited.wordTimings;
+    }
+  }
+  if (typeof changes.assText === 'string') edited.assText = changes.assText;
+  if (changes.speaker !== undefined) {
+    if (changes.speaker) edited.speaker = String(changes.speaker);
+    else delete edited.speaker;
+  }
+  // null clears the cue's style overrides
+  if (changes.overrides !== undefined) {
+    const overrides = pickCueOverrides(changes.overrides);
+    if (overrides) edited.overrides = overrides;
+    else delete edited.overrides;
+  }
+
+  const startTime = changes.startTime !== undefined ? parseFloat(changes.startTime) : cue.startTime;
+  const endTime = changes.endTime !== undefined ? parseFloat(changes.endTime) : cue.endTime;
+  if (isNaN(startTime) || isNaN(endTime) || endTime <= startTime) {
+    throw new Error('Cue endTime must be after startTime');
+  }
+
+  // Moving or stretching a cue moves its word timings proportionally
+  if (edited.wordTimings && (startTime !== cue.startTime || endTime !== cue.endTime)) {
+    const scale = (endTime - startTime) / (cue.endTime - cue.startTime);
+    const remap = (t) => startTime + (t - cue.startTime) * scale;
+    edited.wordTimings = edited.wordTimings.map(wt => ({ ...wt, start: remap(wt.start), end: remap(wt.end) }));
+  }
+  edited.startTime = startTime;
+  edited.endTime = endTime;
+
+  return edited;
+}
+
+function summarizeProject(project) {
+  return {
+    id: project.id,
+    name: project.name,
+    createdAt: project.createdAt,
+    updatedAt: project.updatedAt,
+    hasVideo: !!project.video,
+    cueCount: project.subtitles.length
+  };
+}
+
+// Look up :id and 404 when it doesn't exist
+function findProject(req, res) {
+  const project = loadProject(req.params.id);
+  if (!project) res.status(404).json({ success: false, error: 'Project not found' });
+  return project;
+}
+
+app.get('/api/projects', (req, res) => {
+  const projects = fs.readdirSync(PROJECTS_DIR)
+    .map(id => loadProject(id))
+    .filter(Boolean)
+    .map(summarizeProject)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  res.json({ success: true, projects });
+});
+
+// Create a project from an optional video (upload or mediaId), cue list and style settings
+app.post('/api/projects', upload.single('video'), (req, res) => {
+  let subtitles = [];
+  try {
+    if (req.body.subtitles) subtitles = parseSubtitlePayload(req.body.subtitles).map(normalizeProjectCue);
+  } catch (e) {
+    discardUpload(req);
+    return res.status(400).json({ success: false, error: 'Invalid subtitle format', details: e.message });
+  }
+
+  const media = req.body.mediaId ? loadMedia(req.body.mediaId) : null;
+  if (req.body.mediaId && !media) {
+    discardUpload(req);
+    return res.status(404).json({ success: false, error: 'Media not found - upload the video again' });
+  }
+
+  const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const project = {
+    id,
+    name: req.body.name || (req.file && req.file.originalname) || (media && media.originalName) || `Project ${id}`,
+    createdAt: new Date().toISOString(),
+    video: null,
+    settings: pickProjectSettings(req.body),
+    subtitles: sortCues(subtitles),
+    renders: []
+  };
+
+  fs.mkdirSync(projectDir(id), { recursive: true });
+  if (req.file) {
+    // Move the upload in with the project so it survives renders
+    const filename = `video${path.extname(req.file.originalname)}`;
+    fs.renameSync(req.file.path, path.join(projectDir(id), filename));
+    project.video = { filename, originalName: req.file.originalname, size: req.file.size };
+  } else if (media) {
+    // Copy rather than link - the media library prunes files the project still needs
+    const filename = `video${path.extname(media.filename)}`;
+    fs.copyFileSync(mediaPath(media), path.join(projectDir(id), filename));
+    project.video = { filename, originalName: media.originalName, size: media.size };
+  }
+
+  res.status(201).json({ success: true, project: saveProject(project) });
+});
+
+app.get('/api/projects/:id', (req, res) => {
+  const project = findProject(req, res);
+  if (project) res.json({ success: true, project });
+});
+
+// Update name, settings (merged) and/or replace the whole cue list
+app.put('/api/projects/:id', upload.none(), (req, res) => {
+  const project = findProject(req, res);
+  if (!project) return;
+
+  try {
+    if (req.body.subtitles) project.subtitles = sortCues(parseSubtitlePayload(req.body.subtitles).map(normalizeProjectCue));
+  } catch (e) {
+    return res.status(400).json({ success: false, error: 'Invalid subtitle format', details: e.message });
+  }
+  if (req.body.name) project.name = req.body.name;
+  project.settings = { ...project.settings, ...pickProjectSettings(req.body) };
+
+  res.json({ success: true, project: saveProject(project) });
+});
+
+app.delete('/api/projects/:id', (req, res) => {
+  const project = findProject(req, res);
+  if (!project) return;
+  fs.rmSync(projectDir(project.id), { recursive: true, force: true });
+  res.json({ success: true });
+});
+
+// Insert a single cue, kept in time order
+app.post('/api/projects/:id/cues', upload.none(), (req, res) => {
+  const project = findProject(req, res);
+  if (!project) return;
+
+  const [cue] = parseSubtitlePayload([req.body]);
+  if (!cue || parseFloat(cue.endTime) <= parseFloat(cue.startTime)) {
+    return res.status(400).json({ success: false, error: 'A cue needs text, startTime and endTime (after startTime)' });
+  }
+  let added;
+  try {
+    added = normalizeProjectCue(cue);
+  } catch (e) {
+    return res.status(400).json({ success: false, error: 'Invalid cue', details: e.message });
+  }
+  project.subtitles = sortCues([...project.subtitles, added]);
+  saveProject(project);
+
+  res.status(201).json({ success: true, index: project.subtitles.indexOf(added), cue: added });
+});
+
+app.patch('/api/projects/:id/cues/:index', upload.none(), (req, res) => {
+  const project = findProject(req, res);
+  if (!project) return;
+
+  const index = parseInt(req.params.index);
+  if (!project.subtitles[index]) {
+    return res.status(404).json({ success: false, error: 'Cue not found' });
+  }
+
+  let cue;
+  try {
+    cue = applyCueEdit(project.subtitles[index], req.body);
+  } catch (e) {
+    return res.status(400).json({ success: false, error: 'Invalid cue', details: e.message });
+  }
+  project.subtitles[index] = cue;
+  sortCues(project.subtitles);
+  saveProject(project);
+
+  // Retiming can reorder cues, so report where this one ended up
+  res.json({ success: true, index: project.subtitles.indexOf(cue), cue });
+});
+
+app.delete('/api/projects/:id/cues/:index', (req, res) => {
+  const project = findProject(req, res);
+  if (!project) return;
+
+  const index = parseInt(req.params.index);
+  if (!project.subtitles[index]) {
+    return res.status(404).json({ success: false, error: 'Cue not found' });
+  }
+  project.subtitles.splice(index, 1);
+  saveProject(project);
+
+  res.json({ success: true, cueCount: project.subtitles.length });
+});
+
+// Transcribe the project's video and store the resulting cues on the project
+app.post('/api/projects/:id/transcribe', upload.none(), (req, res) => {
+  const project = findProject(req, res);
+  if (!project) return;
+
+  const videoPath = projectVideoPath(project);
+  if (!videoPath || !fs.existsSync(videoPath)) {
+    return res.status(400).json({ success: false, error: 'Project has no video' });
+  }
+
+  const { provider: sttProvider, configError } = loadProvider(getSTTProvider);
+  if (configError) {
+    return res.status(500).json({ success: false, error: configError });
+  }
+
+  const body = { ...project.settings, ...req.body };
+  const { provider: diarizer, configError: diarizeConfigError } = (body.diarize === true || body.diarize === 'true')
+    ? loadProvider(getDiarizeProvider)
+    : { provider: null, configError: null };
+  if (diarizeConfigError) {
+    return res.status(500).json({ success: false, error: diarizeConfigError });
+  }
+
+  const job = queueTranscribeJob(videoPath, body, {
+    sttProvider,
+    diarizer,
+    keepVideo: true,
+    onResult: (result) => updateProject(project.id, (stored) => {
+      stored.subtitles = result.subtitles.map(normalizeProjectCue);
+      if (req.body.language) stored.settings.language = req.body.language;
+    })
+  });
+
+  res.status(202).json({ success: true, jobId: job.id, statusUrl: `/api/jobs/${job.id}`, eventsUrl: `/api/jobs/${job.id}/events` });
+});
+
+// Re-render the project's video with its saved cues and settings (request fields override settings)
+app.post('/api/projects/:id/render', upload.none(), (req, res) => {
+  try {
+    const project = findProject(req, res);
+    if (!project) return;
+
+    const videoPath = projectVideoPath(project);
+    if (!videoPath || !fs.existsSync(videoPath)) {
+      return res.status(400).json({ success: false, error: 'Project has no video' });
+    }
+
+    const body = applyStylePreset({ ...project.settings, ...req.body });
+    if (!body) {
+      return res.status(404).json(presetNotFound(req.body.preset || project.settings.preset));
+    }
+    if (!body.tracks) body.subtitles = project.subtitles;
+
+    let tracks;
+    try {
+      tracks = parseSubtitleTracks(body);
+    } catch (e) {
+      return res.status(400).json({ success: false, error: 'Invalid subtitle format', details: e.message });
+    }
+
+    const missingFont = body.outputMode === 'soft' ? null : findMissingFont(tracks);
+    if (missingFont) {
+      return res.status(400).json(missingFontError(missingFont));
+    }
+
+    const job = queueRenderJob(videoPath, tracks, body, {
+      keepVideo: true,
+      onResult: (result) => updateProject(project.id, (stored) => {
+        stored.renders.push({ ...result, createdAt: new Date().toISOString() });
+      })
+    });
+    if (!job) {
+      return res.status(400).json({ success: false, error: 'No subtitles to render' });
+    }
+
+    res.status(202).json({ success: true, jobId: job.id, statusUrl: `/api/jobs/${job.id}`, eventsUrl: `/api/jobs/${job.id}/events` });
+
+  } catch (error) {
+    console.error('Project render error:', error);
+    res.status(500).json({ success: false, error: 'Server error', details: error.message });
+  }
 });
+
+// `node server.js` starts the web app; cli.js requires this file for the same pipeline without it
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Server running on http://localhost:${PORT}`);
+  });
+}
+
+module.exports = {
+  app,
+  TRACK_STYLE_FIELDS,
+  CAPTION_FORMATS,
+  parseCaptionFile,
+  parseSubtitleTracks,
+  applyStylePreset,
+  findMissingFont,
+  loadProvider,
+  getSTTProvider,
+  getTranslateProvider,
+  getDiarizeProvider,
+  parseLanguageList,
+  queueTranscribeJob,
+  queueRenderJob,
+  waitForJobResult
+};